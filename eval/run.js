@@ -0,0 +1,56 @@
+/* =========================
+   Offline evaluation CLI
+========================= */
+// npm run eval -- --models a,b --prompts current,v2 --types cv --provider mock
+//   الـ fixtures: eval/fixtures/<type>/<name>.(pdf|png|jpg) + <name>.json (EVAL_FIXTURES_DIR)
+//   نسخ الـ prompts: eval/prompts/<name>/ فيها schemas بديلة (EVAL_PROMPTS_DIR)
+//   التقرير: .data/eval-reports/eval-<timestamp>.json و .md (EVAL_REPORTS_DIR)
+// من غير network: EXTRACTION_PROVIDER=mock (ردود mock/responses) أو MOCK_PROVIDER_BASE_URL لردود متسجلة
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map((v) => v.trim()).filter(Boolean) : [];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // الـ CLI بيتقرا في الـ terminal: logs نص مش JSON
+  process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+  const { runEvaluationSuite } = require('../server');
+
+  const report = await runEvaluationSuite({
+    models: splitList(args.models),
+    prompts: splitList(args.prompts),
+    types: splitList(args.types).length ? splitList(args.types) : undefined,
+    provider: typeof args.provider === 'string' ? args.provider : undefined,
+    save: !args['no-save']
+  });
+
+  console.table(report.comparison);
+  for (const item of report.skipped) {
+    console.warn(`[WARN] skipped fixture ${item.id}: ${item.reason}`);
+  }
+
+  return report.comparison.some((row) => row.errors) ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('[ERROR] eval:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/* =========================
+   Admin routes auth
+========================= */
+function readAdminToken(req) {
+  const header = req.get('x-admin-token');
+  if (header) return header.trim();
+
+  const auth = req.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// من غير ADMIN_TOKEN مسارات الإدارة مقفولة خالص
+function createAdminAuth({ token }) {
+  return function requireAdmin(req, res, next) {
+    if (!token) {
+      return res.status(403).json({ error: 'مسارات الإدارة غير مفعلة (ADMIN_TOKEN غير مضبوط).' });
+    }
+
+    if (!safeEqual(readAdminToken(req), token)) {
+      return res.status(401).json({ error: 'غير مصرح: رمز الإدارة غير صحيح.' });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  createAdminAuth
+};
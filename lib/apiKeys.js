@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Client API keys (per office) + quotas
+========================= */
+// المفتاح نفسه بيتعرض مرة واحدة وقت الإصدار، والمتخزن الـ sha256 بتاعه بس.
+// rpm = طلبات في الدقيقة (في الذاكرة، لكل process)، monthlyQuota = مستندات في الشهر (0 = مفتوح)
+const KEY_PREFIX = 'ek_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function currentMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function toKeyRecord(row) {
+  return {
+    id: row.id,
+    prefix: row.prefix,
+    officeName: row.office_name,
+    label: row.label,
+    rpm: row.rpm_limit,
+    monthlyQuota: row.monthly_quota,
+    allowedOrigins: JSON.parse(row.allowed_origins),
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+function normalizeOrigins(origins) {
+  const list = (origins || []).map((origin) => String(origin).trim().replace(/\/+$/, ''));
+  return [...new Set(list.filter(Boolean))];
+}
+
+function createApiKeyStore({ sqlitePath }) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      office_name TEXT NOT NULL,
+      label TEXT,
+      rpm_limit INTEGER NOT NULL,
+      monthly_quota INTEGER NOT NULL,
+      allowed_origins TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL,
+      revoked_at TEXT,
+      last_used_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id TEXT NOT NULL,
+      month TEXT NOT NULL,
+      documents INTEGER NOT NULL DEFAULT 0,
+      requests INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, month)
+    );
+  `);
+
+  const insertKey = db.prepare(`
+    INSERT INTO api_keys (id, prefix, key_hash, office_name, label, rpm_limit, monthly_quota, allowed_origins, created_at)
+    VALUES (@id, @prefix, @keyHash, @officeName, @label, @rpm, @monthlyQuota, @allowedOrigins, @createdAt)
+  `);
+  const selectById = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+  const selectByHash = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+  const selectAll = db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC');
+  const revokeKey = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+  const touchKey = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+  const selectUsage = db.prepare('SELECT documents, requests FROM api_key_usage WHERE key_id = ? AND month = ?');
+  const upsertUsage = db.prepare(`
+    INSERT INTO api_key_usage (key_id, month, documents, requests) VALUES (?, ?, ?, ?)
+    ON CONFLICT (key_id, month) DO UPDATE SET
+      documents = documents + excluded.documents,
+      requests = requests + excluded.requests
+  `);
+
+  function usageFor(id, month = currentMonth()) {
+    return selectUsage.get(id, month) || { documents: 0, requests: 0 };
+  }
+
+  async function issue({ officeName, label, rpm, monthlyQuota, allowedOrigins }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = crypto.randomUUID();
+
+    insertKey.run({
+      id,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      officeName,
+      label: label || null,
+      rpm,
+      monthlyQuota,
+      allowedOrigins: JSON.stringify(normalizeOrigins(allowedOrigins)),
+      createdAt: new Date().toISOString()
+    });
+
+    return { key, ...toKeyRecord(selectById.get(id)) };
+  }
+
+  async function update(id, { rpm, monthlyQuota, allowedOrigins, label }) {
+    const row = selectById.get(id);
+    if (!row) return null;
+
+    db.prepare(
+      'UPDATE api_keys SET rpm_limit = ?, monthly_quota = ?, allowed_origins = ?, label = ? WHERE id = ?'
+    ).run(
+      rpm ?? row.rpm_limit,
+      monthlyQuota ?? row.monthly_quota,
+      allowedOrigins ? JSON.stringify(normalizeOrigins(allowedOrigins)) : row.allowed_origins,
+      label !== undefined ? label : row.label,
+      id
+    );
+    return toKeyRecord(selectById.get(id));
+  }
+
+  async function revoke(id) {
+    return revokeKey.run(new Date().toISOString(), id).changes > 0;
+  }
+
+  async function get(id) {
+    const row = selectById.get(id);
+    return row ? { ...toKeyRecord(row), usage: usageFor(id) } : null;
+  }
+
+  async function list() {
+    return selectAll.all().map((row) => ({ ...toKeyRecord(row), usage: usageFor(row.id) }));
+  }
+
+  // null = مش موجود أو متلغي
+  function authenticate(key) {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+    const row = selectByHash.get(hashKey(key));
+    if (!row || row.revoked_at) return null;
+
+    touchKey.run(new Date().toISOString(), row.id);
+    return toKeyRecord(row);
+  }
+
+  // بيزود العداد لو فيه مكان في الكوتة، وإلا بيرجع allowed=false من غير ما يزود
+  const consume = db.transaction((record, documents) => {
+    const month = currentMonth();
+    const used = usageFor(record.id, month).documents;
+
+    if (record.monthlyQuota > 0 && used + documents > record.monthlyQuota) {
+      return { allowed: false, used, quota: record.monthlyQuota };
+    }
+
+    upsertUsage.run(record.id, month, documents, 1);
+    return { allowed: true, used: used + documents, quota: record.monthlyQuota };
+  });
+
+  // كل الـ origins المسموحة في المفاتيح الشغالة (للـ CORS preflight اللي مفيهوش المفتاح)
+  function allowedOrigins() {
+    const origins = new Set();
+    for (const row of selectAll.all()) {
+      if (row.revoked_at) continue;
+      for (const origin of JSON.parse(row.allowed_origins)) origins.add(origin);
+    }
+    return origins;
+  }
+
+  return {
+    issue,
+    update,
+    revoke,
+    get,
+    list,
+    authenticate,
+    consume,
+    allowedOrigins
+  };
+}
+
+// sliding window لكل مفتاح: الطلبات اللي في آخر 60 ثانية
+function createRateLimiter({ windowMs = 60 * 1000 } = {}) {
+  const hits = new Map();
+
+  function take(id, limit) {
+    const now = Date.now();
+    const recent = (hits.get(id) || []).filter((at) => now - at < windowMs);
+
+    if (limit > 0 && recent.length >= limit) {
+      hits.set(id, recent);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((recent[0] + windowMs - now) / 1000)
+      };
+    }
+
+    recent.push(now);
+    hits.set(id, recent);
+    return { allowed: true, remaining: limit > 0 ? limit - recent.length : null };
+  }
+
+  return { take };
+}
+
+function readApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const auth = req.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(ek_\S+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+function originAllowed(record, origin) {
+  if (!origin) return true;
+  return record.allowedOrigins.includes('*') || record.allowedOrigins.includes(origin.replace(/\/+$/, ''));
+}
+
+// enabled=false: كل حاجة مفتوحة زي الأول (req.apiKey = null)
+// documents: عدد المستندات اللي بتتحسب من الكوتة (0 = الـ handler بيحسبها بنفسه بـ consumeDocuments)
+function createApiKeyAuth({ enabled, store, limiter = createRateLimiter() }) {
+  function requireApiKey({ documents = 1 } = {}) {
+    return function checkApiKey(req, res, next) {
+      req.apiKey = null;
+      if (!enabled) return next();
+
+      const record = store.authenticate(readApiKey(req));
+      if (!record) {
+        return res.status(401).json({ error: 'مفتاح API غير صالح أو غير موجود (x-api-key).' });
+      }
+
+      if (!originAllowed(record, req.get('origin'))) {
+        return res.status(403).json({ error: 'هذا الـ origin غير مسموح له باستخدام المفتاح ده.' });
+      }
+
+      const rate = limiter.take(record.id, record.rpm);
+      if (rate.remaining !== null) {
+        res.set('X-RateLimit-Limit', String(record.rpm));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+      }
+      if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfterSeconds));
+        return res.status(429).json({
+          error: `تم تجاوز الحد المسموح (${record.rpm} طلب في الدقيقة).`,
+          retryAfterSeconds: rate.retryAfterSeconds
+        });
+      }
+
+      req.apiKey = record;
+      if (documents && !consumeDocuments(req, res, documents)) return;
+      return next();
+    };
+  }
+
+  // بترجع false وبتبعت 429 لو الكوتة الشهرية خلصت
+  function consumeDocuments(req, res, documents) {
+    if (!req.apiKey) return true;
+
+    const quota = store.consume(req.apiKey, documents);
+    if (quota.quota > 0) {
+      res.set('X-Quota-Limit', String(quota.quota));
+      res.set('X-Quota-Used', String(quota.used));
+    }
+    if (!quota.allowed) {
+      res.status(429).json({
+        error: `تم استهلاك الحصة الشهرية لهذا المفتاح (${quota.used}/${quota.quota} مستند).`,
+        quota: { used: quota.used, limit: quota.quota, requested: documents }
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // الـ preflight مفيهوش المفتاح: بنسمح بأي origin موجود في مفتاح شغال، والتحقق الفعلي في requireApiKey
+  function corsOptions(extraOrigins = []) {
+    function isOriginAllowed(origin) {
+      if (!origin || extraOrigins.includes(origin)) return true;
+      if (!enabled) return false;
+      const origins = store.allowedOrigins();
+      return origins.has('*') || origins.has(origin);
+    }
+
+    return function corsOptionsDelegate(req, callback) {
+      // زي cors() من غير options
+      if (!enabled && !extraOrigins.length) {
+        return callback(null, { origin: '*' });
+      }
+      const origin = String(req.get('origin') || '').replace(/\/+$/, '');
+      return callback(null, { origin: isOriginAllowed(origin) });
+    };
+  }
+
+  return { requireApiKey, consumeDocuments, corsOptions };
+}
+
+module.exports = {
+  createApiKeyStore,
+  createRateLimiter,
+  createApiKeyAuth
+};
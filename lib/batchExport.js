@@ -0,0 +1,45 @@
+const ExcelJS = require('exceljs');
+
+/* =========================
+   Batch export (CSV / XLSX)
+========================= */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvEscape(value) {
+  const text = cellValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// BOM في الأول عشان Excel يقرأ العربي صح
+function buildCsv(rows, columns) {
+  const lines = [columns.map(csvEscape).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvEscape(row[column])).join(','));
+  }
+  return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+async function buildXlsx(rows, columns, sheetName = 'Results') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((column) => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    const values = {};
+    for (const column of columns) values[column] = cellValue(row[column]);
+    sheet.addRow(values);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  buildCsv,
+  buildXlsx
+};
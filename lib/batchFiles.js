@@ -0,0 +1,91 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+/* =========================
+   Batch uploads (files + ZIP archives)
+========================= */
+const MIME_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+function isZip(file) {
+  return ZIP_MIME_TYPES.includes(file.mimetype) || /\.zip$/i.test(file.originalname || '');
+}
+
+// ملفات النظام اللي بتتحط في الـ ZIP من macOS / Windows
+function isJunkEntry(name) {
+  const base = path.posix.basename(name);
+  return name.startsWith('__MACOSX/') || base.startsWith('.') || base === 'Thumbs.db';
+}
+
+// بيرجع { files, skipped } — files بنفس شكل multer (originalname, mimetype, size, buffer)
+function expandBatchUploads(uploads, { maxFiles, maxEntryBytes, maxTotalBytes }) {
+  const files = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  function add(file) {
+    if (files.length >= maxFiles) {
+      skipped.push({ filename: file.originalname, reason: `تم تجاوز الحد الأقصى لعدد الملفات (${maxFiles}).` });
+      return;
+    }
+    files.push(file);
+  }
+
+  for (const upload of uploads) {
+    if (!isZip(upload)) {
+      if (!Object.values(MIME_BY_EXTENSION).includes(upload.mimetype)) {
+        skipped.push({ filename: upload.originalname, reason: 'نوع الملف غير مدعوم (PNG أو JPEG أو PDF فقط).' });
+        continue;
+      }
+      add(upload);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(upload.buffer).getEntries();
+    } catch (error) {
+      skipped.push({ filename: upload.originalname, reason: `ملف ZIP غير صالح: ${error.message}` });
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory || isJunkEntry(entry.entryName)) continue;
+
+      const filename = `${upload.originalname}/${entry.entryName}`;
+      const mimetype = MIME_BY_EXTENSION[path.extname(entry.entryName).toLowerCase()];
+      if (!mimetype) {
+        skipped.push({ filename, reason: 'نوع الملف غير مدعوم (PNG أو JPEG أو PDF فقط).' });
+        continue;
+      }
+
+      // الحجم من الـ header قبل فك الضغط (حماية من zip bomb)
+      const size = entry.header.size;
+      if (size > maxEntryBytes) {
+        skipped.push({ filename, reason: 'حجم الملف كبير جدًا.' });
+        continue;
+      }
+      if (totalBytes + size > maxTotalBytes) {
+        skipped.push({ filename, reason: 'تم تجاوز الحد الأقصى لحجم الملفات بعد فك الضغط.' });
+        continue;
+      }
+
+      const buffer = entry.getData();
+      totalBytes += buffer.length;
+      add({ originalname: filename, mimetype, size: buffer.length, buffer });
+    }
+  }
+
+  return { files, skipped };
+}
+
+module.exports = {
+  ZIP_MIME_TYPES,
+  expandBatchUploads
+};
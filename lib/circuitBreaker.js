@@ -0,0 +1,66 @@
+/* =========================
+   Circuit breaker (per key)
+========================= */
+// closed: شغال عادي. بعد failureThreshold فشل ورا بعض بيبقى open ومحدش بيجربه لحد ما الـ cooldown يخلص،
+// وبعدها half-open: محاولة واحدة بس (probe)، لو نجحت يرجع closed ولو فشلت يرجع open من الأول.
+// canAttempt في الـ half-open بيحجز الـ probe، فأي طلب تاني في نفس الوقت بياخد false لحد ما
+// recordSuccess / recordFailure / release يتنادوا
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60 * 1000 } = {}) {
+  const circuits = new Map();
+
+  function stateOf(key) {
+    const circuit = circuits.get(key);
+    if (!circuit || circuit.openedAt === null) return 'closed';
+    return Date.now() - circuit.openedAt >= cooldownMs ? 'half-open' : 'open';
+  }
+
+  function canAttempt(key) {
+    const state = stateOf(key);
+    if (state === 'closed') return true;
+    if (state === 'open') return false;
+
+    const circuit = circuits.get(key);
+    if (circuit.probing) return false;
+    circuit.probing = true;
+    return true;
+  }
+
+  function recordSuccess(key) {
+    circuits.delete(key);
+  }
+
+  function recordFailure(key) {
+    const circuit = circuits.get(key) || { failures: 0, openedAt: null, probing: false };
+    const halfOpen = stateOf(key) === 'half-open';
+
+    circuit.failures++;
+    circuit.probing = false;
+    if (halfOpen || (failureThreshold > 0 && circuit.failures >= failureThreshold)) {
+      circuit.openedAt = Date.now();
+    }
+    circuits.set(key, circuit);
+    return stateOf(key);
+  }
+
+  // المحاولة خلصت من غير نتيجة تخص الـ circuit ده (مثلًا الغلط من حتة تانية): نفك حجز الـ probe بس
+  function release(key) {
+    const circuit = circuits.get(key);
+    if (circuit) circuit.probing = false;
+  }
+
+  function snapshot() {
+    return [...circuits.entries()].map(([key, circuit]) => ({
+      key,
+      state: stateOf(key),
+      failures: circuit.failures,
+      probing: Boolean(circuit.probing),
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+    }));
+  }
+
+  return { stateOf, canAttempt, recordSuccess, recordFailure, release, snapshot };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
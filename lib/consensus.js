@@ -0,0 +1,91 @@
+const { normalizeForMatch } = require('./enumValidation');
+
+/* =========================
+   Multi-model consensus (majority vote per field)
+========================= */
+// "B 1234567" و "b1234567" نفس الصوت
+function voteKey(value) {
+  return normalizeForMatch(value).replace(/\s+/g, '');
+}
+
+function sameVote(a, b) {
+  const left = a ?? null;
+  const right = b ?? null;
+  return left === right || (left !== null && right !== null && voteKey(left) === voteKey(right));
+}
+
+// runs: [{ model, values }] بالترتيب (الأول = الموديل الأساسي، وبيكسب لو فيه تعادل)
+// بيرجع { values, disagreements, agreed, compared }
+function mergeByMajority({ keys, runs }) {
+  const values = {};
+  const disagreements = [];
+  let agreed = 0;
+
+  for (const key of keys) {
+    const ballots = runs.map((run) => ({ model: run.model, value: run.values?.[key] ?? null }));
+    const tally = new Map();
+
+    for (const ballot of ballots) {
+      if (ballot.value === null || String(ballot.value).trim() === '') continue;
+      const k = voteKey(ballot.value);
+      if (!tally.has(k)) tally.set(k, { value: ballot.value, votes: 0 });
+      tally.get(k).votes++;
+    }
+
+    // Map بيحفظ ترتيب الإدخال، فالتعادل بيروح للموديل الأساسي
+    let winner = null;
+    for (const candidate of tally.values()) {
+      if (!winner || candidate.votes > winner.votes) winner = candidate;
+    }
+
+    values[key] = winner ? winner.value : null;
+
+    const missing = ballots.filter((b) => b.value === null || String(b.value).trim() === '').length;
+    if (tally.size <= 1 && (missing === 0 || missing === ballots.length)) {
+      agreed++;
+      continue;
+    }
+
+    let resolution = 'majority';
+    if (!winner || winner.votes * 2 <= runs.length) {
+      const tied = [...tally.values()].filter((c) => c.votes === winner?.votes).length > 1;
+      resolution = tied ? 'tie-primary' : 'plurality';
+    }
+
+    disagreements.push({
+      field: key,
+      chosen: values[key],
+      votes: winner ? winner.votes : 0,
+      total: runs.length,
+      resolution: tally.size <= 1 ? 'missing-in-some' : resolution,
+      values: ballots
+    });
+  }
+
+  return { values, disagreements, agreed, compared: keys.length };
+}
+
+// الـ run اللي قيمه أقرب للنتيجة النهائية (بناخد منه segments / validation / warnings)
+function pickBaseRun(runs, values) {
+  let best = runs[0];
+  let bestScore = -1;
+
+  for (const run of runs) {
+    let score = 0;
+    for (const [key, value] of Object.entries(values)) {
+      if (sameVote(run.values?.[key], value)) score++;
+    }
+    if (score > bestScore) {
+      best = run;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  mergeByMajority,
+  pickBaseRun,
+  sameVote
+};
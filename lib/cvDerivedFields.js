@@ -0,0 +1,142 @@
+const { parseDateToIso } = require('./dates');
+const { EXPERIENCE_VALUES } = require('./cvFields');
+
+/* =========================
+   Derived fields + consistency checks
+========================= */
+// نفس الجدول اللي في PROMPT_RULES (ExperienceYears based on Experience)
+const EXPERIENCE_YEARS_BY_LEVEL = {
+  [EXPERIENCE_VALUES[0]]: 'مدربة-Training',
+  [EXPERIENCE_VALUES[1]]: '1-2 Years - سنوات',
+  [EXPERIENCE_VALUES[2]]: '3-4 Years - سنوات',
+  [EXPERIENCE_VALUES[3]]: '5 and More - وأكثر'
+};
+
+const PASSPORT_MIN_VALIDITY_MONTHS = 6;
+
+function todayIso(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function addMonthsIso(iso, months) {
+  const [y, m, d] = iso.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1 + months, d));
+  return date.toISOString().slice(0, 10);
+}
+
+function computeAge(dateOfBirthIso, now = new Date()) {
+  const [y, m, d] = dateOfBirthIso.split('-').map(Number);
+  let age = now.getUTCFullYear() - y;
+  const beforeBirthday =
+    now.getUTCMonth() + 1 < m ||
+    (now.getUTCMonth() + 1 === m && now.getUTCDate() < d);
+  if (beforeBirthday) age -= 1;
+  return age;
+}
+
+function warning(field, code, message, extra = {}) {
+  return { field, code, message, ...extra };
+}
+
+// بيرجع { values, warnings } — القيم المشتقة بتكسب على قيمة الموديل، وأي اختلاف بيتسجل كـ warning
+function deriveCvFields(record, { now = new Date() } = {}) {
+  const values = { ...record };
+  const warnings = [];
+
+  // ExperienceYears
+  const expectedYears = EXPERIENCE_YEARS_BY_LEVEL[values.Experience] || null;
+  if (expectedYears) {
+    if (values.ExperienceYears && values.ExperienceYears !== expectedYears) {
+      warnings.push(
+        warning('ExperienceYears', 'experience_years_mismatch', 'ExperienceYears لا يطابق مستوى Experience وتم تصحيحه.', {
+          from: values.ExperienceYears,
+          to: expectedYears
+        })
+      );
+    }
+    values.ExperienceYears = expectedYears;
+  } else if (
+    values.ExperienceYears &&
+    !Object.values(EXPERIENCE_YEARS_BY_LEVEL).includes(values.ExperienceYears)
+  ) {
+    warnings.push(
+      warning('ExperienceYears', 'invalid_experience_years', 'ExperienceYears ليس من القيم المسموحة وتم حذفه.', {
+        from: values.ExperienceYears,
+        to: null
+      })
+    );
+    values.ExperienceYears = null;
+  }
+
+  // التواريخ لازم تكون ISO YYYY-MM-DD
+  for (const field of ['dateofbirth', 'PassportStart', 'PassportEnd']) {
+    if (!values[field]) continue;
+    const iso = parseDateToIso(values[field]);
+    if (!iso) {
+      warnings.push(
+        warning(field, 'invalid_date', `${field} ليس تاريخًا صالحًا.`, { from: values[field], to: null })
+      );
+      values[field] = null;
+    } else if (iso !== values[field]) {
+      values[field] = iso;
+    }
+  }
+
+  // age من dateofbirth
+  if (values.dateofbirth) {
+    const age = computeAge(values.dateofbirth, now);
+
+    if (age < 0 || age > 100) {
+      warnings.push(
+        warning('dateofbirth', 'implausible_date_of_birth', 'تاريخ الميلاد غير منطقي.', { age })
+      );
+    } else {
+      const reportedAge = Number.parseInt(values.age, 10);
+      if (values.age && reportedAge !== age) {
+        warnings.push(
+          warning('age', 'age_mismatch', 'العمر المستخرج لا يطابق تاريخ الميلاد وتم حسابه من جديد.', {
+            from: values.age,
+            to: String(age)
+          })
+        );
+      }
+      values.age = String(age);
+    }
+  }
+
+  // Passport validity
+  const today = todayIso(now);
+  const { PassportStart: start, PassportEnd: end } = values;
+
+  if (start && end && end <= start) {
+    warnings.push(
+      warning('PassportEnd', 'passport_end_before_start', 'تاريخ انتهاء الجواز قبل تاريخ إصداره.', { PassportStart: start, PassportEnd: end })
+    );
+  }
+
+  if (start && start > today) {
+    warnings.push(
+      warning('PassportStart', 'passport_issued_in_future', 'تاريخ إصدار الجواز في المستقبل.', { PassportStart: start })
+    );
+  }
+
+  if (end) {
+    if (end < today) {
+      warnings.push(
+        warning('PassportEnd', 'passport_expired', 'الجواز منتهي الصلاحية.', { PassportEnd: end })
+      );
+    } else if (end < addMonthsIso(today, PASSPORT_MIN_VALIDITY_MONTHS)) {
+      warnings.push(
+        warning('PassportEnd', 'passport_validity_under_6_months', 'صلاحية الجواز أقل من 6 شهور.', { PassportEnd: end })
+      );
+    }
+  }
+
+  return { values, warnings };
+}
+
+module.exports = {
+  EXPERIENCE_YEARS_BY_LEVEL,
+  computeAge,
+  deriveCvFields
+};
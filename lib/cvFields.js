@@ -0,0 +1,148 @@
+const { normalizeForMatch, validateEnumFields } = require('./enumValidation');
+
+/* =========================
+   CV allowed values (مصدر واحد للـ prompt والـ validation)
+========================= */
+const EDUCATION_VALUES = [
+  'Diploma - دبلوم',
+  'High school - ثانوي',
+  'Illiterate - غير متعلم',
+  'Literate - القراءة والكتابة',
+  'Primary school - ابتدائي',
+  'University level - جامعي'
+];
+
+const EXPERIENCE_VALUES = [
+  'Novice | مدربة بدون خبرة',
+  'Intermediate | مدربة بخبرة متوسطة',
+  'Well-experienced | خبرة جيدة',
+  'Expert | خبرة ممتازة'
+];
+
+const MARITAL_STATUS_VALUES = [
+  'Single - عازبة',
+  'Married - متزوجة',
+  'Divorced - مطلقة'
+];
+
+const RELIGION_VALUES = [
+  'Islam - الإسلام',
+  'Non-Muslim - غير مسلم'
+];
+
+const LEVEL_VALUES = [
+  'Expert - ممتاز',
+  'Advanced - جيد جداً',
+  'Intermediate - جيد',
+  'Beginner - مبتدأ',
+  'Non - لا تجيد'
+];
+
+const LANGUAGE_LEVEL_FIELDS = ['EnglishLanguageLevel', 'ArabicLanguageLeveL'];
+
+const SKILL_LEVEL_FIELDS = [
+  'CookingLevel',
+  'WashingLevel',
+  'IroningLevel',
+  'CleaningLevel',
+  'SewingLevel',
+  'ChildcareLevel',
+  'ElderlycareLevel',
+  'BabySitterLevel'
+];
+
+/* =========================
+   Synonyms (القيم اللي الموديلات بترجعها غلط كتير)
+========================= */
+function buildSynonyms(groups) {
+  const map = {};
+  for (const [canonical, aliases] of Object.entries(groups)) {
+    for (const alias of aliases) {
+      map[normalizeForMatch(alias)] = canonical;
+    }
+  }
+  return map;
+}
+
+const EDUCATION_SYNONYMS = buildSynonyms({
+  'Diploma - دبلوم': ['diploma', 'certificate', 'vocational', 'دبلومة'],
+  'High school - ثانوي': ['high school', 'secondary', 'secondary school', 'o level', 'a level', 's4', 's 4', 's6', 'senior', 'ثانوية', 'الثانوية'],
+  'Illiterate - غير متعلم': ['illiterate', 'no education', 'uneducated', 'none educated', 'أمية', 'امي'],
+  'Literate - القراءة والكتابة': ['literate', 'read and write', 'can read and write', 'reading and writing', 'يقرأ ويكتب'],
+  'Primary school - ابتدائي': ['primary', 'primary school', 'elementary', 'p7', 'p 7', 'ابتدائية'],
+  'University level - جامعي': ['university', 'bachelor', 'bachelors', 'degree', 'graduate', 'college', 'جامعة', 'بكالوريوس']
+});
+
+const EXPERIENCE_SYNONYMS = buildSynonyms({
+  'Novice | مدربة بدون خبرة': ['novice', 'no experience', 'none', 'new', 'fresh', 'trained', 'training', 'beginner', 'بدون خبرة', 'مدربة'],
+  'Intermediate | مدربة بخبرة متوسطة': ['intermediate', 'medium', 'average', 'some experience', 'متوسطة', 'خبرة متوسطة'],
+  'Well-experienced | خبرة جيدة': ['well experienced', 'experienced', 'good', 'good experience', 'جيدة', 'خبرة'],
+  'Expert | خبرة ممتازة': ['expert', 'excellent', 'very experienced', 'highly experienced', 'ممتازة', 'خبيرة']
+});
+
+const MARITAL_STATUS_SYNONYMS = buildSynonyms({
+  'Single - عازبة': ['single', 'unmarried', 'not married', 'never married', 'عزباء', 'عازب', 'انسة'],
+  'Married - متزوجة': ['married', 'متزوج'],
+  'Divorced - مطلقة': ['divorced', 'divorcee', 'مطلق']
+});
+
+const RELIGION_SYNONYMS = buildSynonyms({
+  'Islam - الإسلام': ['islam', 'muslim', 'moslem', 'islamic', 'مسلم', 'مسلمة', 'إسلام'],
+  'Non-Muslim - غير مسلم': ['non muslim', 'christian', 'christianity', 'catholic', 'protestant', 'orthodox', 'anglican', 'pentecostal', 'adventist', 'hindu', 'buddhist', 'مسيحي', 'مسيحية', 'غير مسلمة']
+});
+
+const LEVEL_SYNONYMS = buildSynonyms({
+  'Expert - ممتاز': ['expert', 'excellent', 'fluent', 'native', 'perfect', 'very fluent', 'ممتازة'],
+  'Advanced - جيد جداً': ['advanced', 'very good', 'جيد جدا', 'جيدة جدا'],
+  'Intermediate - جيد': ['intermediate', 'good', 'fair', 'average', 'medium', 'moderate', 'جيدة', 'متوسط'],
+  'Beginner - مبتدأ': ['beginner', 'basic', 'little', 'poor', 'weak', 'a little', 'مبتدئ', 'مبتدئة', 'ضعيف'],
+  'Non - لا تجيد': ['non', 'none', 'no', 'nil', 'not at all', 'لا', 'لا يجيد', 'لا تجيد']
+});
+
+// "3 years" / "سنتين" -> نفس تقسيم ExperienceYears في الـ prompt
+function resolveExperienceFromYears(normalized) {
+  const match = normalized.match(/(\d+(?:\.\d+)?)\s*(?:\+\s*)?(?:years?|yrs?|سنه|سنوات|سنين|عام|اعوام)/);
+  if (!match) return null;
+
+  const years = Number(match[1]);
+  if (years < 1) return EXPERIENCE_VALUES[0];
+  if (years < 3) return EXPERIENCE_VALUES[1];
+  if (years < 5) return EXPERIENCE_VALUES[2];
+  return EXPERIENCE_VALUES[3];
+}
+
+const CV_ENUM_FIELDS = {
+  Education: { values: EDUCATION_VALUES, synonyms: EDUCATION_SYNONYMS },
+  Experience: {
+    values: EXPERIENCE_VALUES,
+    synonyms: EXPERIENCE_SYNONYMS,
+    resolve: resolveExperienceFromYears
+  },
+  maritalstatus: { values: MARITAL_STATUS_VALUES, synonyms: MARITAL_STATUS_SYNONYMS },
+  Religion: { values: RELIGION_VALUES, synonyms: RELIGION_SYNONYMS }
+};
+
+for (const field of [...LANGUAGE_LEVEL_FIELDS, ...SKILL_LEVEL_FIELDS]) {
+  CV_ENUM_FIELDS[field] = { values: LEVEL_VALUES, synonyms: LEVEL_SYNONYMS };
+}
+
+function formatAllowedList(values) {
+  return values.map((value) => `- "${value}"`).join('\n');
+}
+
+function validateCvEnums(record) {
+  return validateEnumFields(record, CV_ENUM_FIELDS);
+}
+
+module.exports = {
+  EDUCATION_VALUES,
+  EXPERIENCE_VALUES,
+  MARITAL_STATUS_VALUES,
+  RELIGION_VALUES,
+  LEVEL_VALUES,
+  LANGUAGE_LEVEL_FIELDS,
+  SKILL_LEVEL_FIELDS,
+  CV_ENUM_FIELDS,
+  formatAllowedList,
+  validateCvEnums
+};
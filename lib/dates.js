@@ -0,0 +1,114 @@
+/* =========================
+   Date helpers
+========================= */
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (!y || !m || !d || m > 12 || d > 31) return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+function expandYear(year) {
+  const y = Number(year);
+  if (String(year).length === 4) return y;
+  // سنتين بس: أقرب قرن بحيث ما تكونش في المستقبل البعيد
+  const currentShort = new Date().getUTCFullYear() % 100;
+  return y > currentShort + 10 ? 1900 + y : 2000 + y;
+}
+
+// بيرجع YYYY-MM-DD أو null. الترتيب الرقمي المفترض يوم/شهر/سنة زي أغلب السير الذاتية والتذاكر
+function parseDateToIso(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/);
+  if (match) return toIsoDate(match[1], match[2], match[3]);
+
+  match = text.match(/^(\d{1,2})[-/.\s](\d{1,2})[-/.\s](\d{2}|\d{4})$/);
+  if (match) return toIsoDate(expandYear(match[3]), match[2], match[1]);
+
+  match = text.match(/^(\d{1,2})[-/.\s]*([A-Za-z]{3,9})[-/.,\s]*(\d{2}|\d{4})$/);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return toIsoDate(expandYear(match[3]), MONTHS[match[2].toLowerCase()], match[1]);
+  }
+
+  match = text.match(/^([A-Za-z]{3,9})[-/.\s]*(\d{1,2}),?[-/.\s]*(\d{4})$/);
+  if (match && MONTHS[match[1].toLowerCase()]) {
+    return toIsoDate(match[3], MONTHS[match[1].toLowerCase()], match[2]);
+  }
+
+  return null;
+}
+
+// "2:30 PM" / "14.30" / "1430" / "06:10+1" -> { time: 'HH:mm', nextDay } أو null
+function parseTimeTo24h(value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim().toUpperCase();
+  if (!text) return null;
+
+  let nextDay = false;
+  const plusDay = text.match(/\s*\(?\+\s*1\)?\s*$/);
+  if (plusDay) {
+    nextDay = true;
+    text = text.slice(0, plusDay.index).trim();
+  }
+
+  const match = text.match(/^(\d{1,2})(?:[:.hH]?(\d{2}))?(?:\s*([AP])\.?\s*M\.?)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  const meridiem = match[3];
+
+  // "14" من غير دقايق و AM/PM غالبًا مش وقت
+  if (!match[2] && !meridiem) return null;
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'A' && hours === 12) hours = 0;
+    if (meridiem === 'P' && hours !== 12) hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return { time: `${pad2(hours)}:${pad2(minutes)}`, nextDay };
+}
+
+function addDaysIso(iso, days) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  MONTHS,
+  toIsoDate,
+  parseDateToIso,
+  parseTimeTo24h,
+  addDaysIso
+};
@@ -0,0 +1,98 @@
+const { objectSchema, buildResponseFormat, parseModelJson } = require('./modelJson');
+const { normalizeForMatch } = require('./enumValidation');
+
+/* =========================
+   Document classification
+========================= */
+// الأنواع اللي ينفع نصنف ليها = الـ schemas اللي فيها classify: { description, keywords }
+const UNKNOWN_TYPE = 'unknown';
+
+function classifiableSchemas(schemas) {
+  return schemas.filter((schema) => schema.classify);
+}
+
+function buildClassificationPrompt(schemas) {
+  const lines = classifiableSchemas(schemas).map(
+    (schema) => `- "${schema.type}": ${schema.classify.description}`
+  );
+
+  return `
+Classify the uploaded document into exactly ONE of the types below and return ONLY a valid JSON object.
+
+📂 TYPES:
+${lines.join('\n')}
+- "${UNKNOWN_TYPE}": anything else, or the document is unreadable.
+
+⚠️ STRICT RULES:
+- Return EXACTLY: {"type": "<one of the types above>", "confidence": <number between 0 and 1>, "reason": "<short reason>"}
+- confidence: how sure you are (1 = certain).
+- JSON only, no markdown, no commentary.
+  `.trim();
+}
+
+function buildClassificationResponseFormat(schemas) {
+  const types = [...classifiableSchemas(schemas).map((schema) => schema.type), UNKNOWN_TYPE];
+
+  return buildResponseFormat(
+    'document_classification',
+    objectSchema([], {
+      type: { type: 'string', enum: types },
+      confidence: { type: 'number' },
+      reason: { type: ['string', 'null'] }
+    })
+  );
+}
+
+function clampConfidence(value) {
+  const n = Number.parseFloat(value);
+  if (!Number.isFinite(n)) return 0;
+  // بعض الموديلات بترجع 0-100
+  const scaled = n > 1 ? n / 100 : n;
+  return Math.round(Math.min(1, Math.max(0, scaled)) * 100) / 100;
+}
+
+// بيرجع { type, confidence, reason }، وأي type مش معروف بيتحسب unknown
+function parseClassification(rawText, schemas) {
+  const { value } = parseModelJson(rawText);
+  const types = classifiableSchemas(schemas).map((schema) => schema.type);
+  const type = String(value?.type || '').trim().toLowerCase();
+
+  return {
+    type: types.includes(type) ? type : UNKNOWN_TYPE,
+    confidence: clampConfidence(value?.confidence),
+    reason: value?.reason ? String(value.reason) : null
+  };
+}
+
+// fallback من غير موديل: عدد الكلمات المميزة لكل نوع في النص (pdf-parse / OCR)
+function classifyByKeywords(text, schemas) {
+  const haystack = ` ${normalizeForMatch(text)} `;
+  const scores = {};
+
+  for (const schema of classifiableSchemas(schemas)) {
+    scores[schema.type] = (schema.classify.keywords || []).filter((keyword) =>
+      haystack.includes(` ${normalizeForMatch(keyword)} `)
+    ).length;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+
+  if (!best || best[1] === 0) {
+    return { type: UNKNOWN_TYPE, confidence: 0, reason: 'no keywords matched', scores };
+  }
+
+  // الثقة بتزيد مع عدد الكلمات وبتقل لو النوع التاني قريب منه
+  const margin = best[1] - (second ? second[1] : 0);
+  const confidence = clampConfidence(Math.min(0.9, 0.3 + 0.1 * best[1] + 0.1 * margin));
+
+  return { type: best[0], confidence, reason: `keywords: ${best[1]}`, scores };
+}
+
+module.exports = {
+  UNKNOWN_TYPE,
+  buildClassificationPrompt,
+  buildClassificationResponseFormat,
+  parseClassification,
+  classifyByKeywords
+};
@@ -0,0 +1,144 @@
+/* =========================
+   Enum validation / fuzzy coercion
+========================= */
+const NULL_LIKE = new Set(['', 'null', 'none', 'n a', 'na', 'nil', 'undefined']);
+
+// بنوحّد الشكل قبل المقارنة: حروف صغيرة، من غير تشكيل، وتوحيد الألف/الياء/التاء المربوطة
+function normalizeForMatch(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/[^a-z0-9\u0600-\u06FF]+/g, ' ')
+    .trim();
+}
+
+// "Married - متزوجة" / "Novice | مدربة بدون خبرة" -> ["married", "متزوجه"]
+function canonicalParts(canonical) {
+  return String(canonical)
+    .split(/\s+[-|]\s+/)
+    .map(normalizeForMatch)
+    .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+// بيرجع { value, status: 'ok' | 'coerced' | 'rejected' | 'empty', reason }
+function coerceEnumValue(rawValue, allowedValues, { synonyms = {}, resolve, minSimilarity = 0.8 } = {}) {
+  if (rawValue === null || rawValue === undefined) {
+    return { value: null, status: 'empty' };
+  }
+
+  const text = String(rawValue).trim();
+  if (allowedValues.includes(text)) {
+    return { value: text, status: 'ok' };
+  }
+
+  const normalized = normalizeForMatch(text);
+  if (NULL_LIKE.has(normalized) && !synonyms[normalized]) {
+    return { value: null, status: 'empty' };
+  }
+
+  for (const canonical of allowedValues) {
+    if (normalizeForMatch(canonical) === normalized || canonicalParts(canonical).includes(normalized)) {
+      return { value: canonical, status: 'coerced', reason: 'normalized-match' };
+    }
+  }
+
+  const synonymHit = synonyms[normalized];
+  if (synonymHit) {
+    return { value: synonymHit, status: 'coerced', reason: 'synonym' };
+  }
+
+  if (typeof resolve === 'function') {
+    const resolved = resolve(normalized, text);
+    if (resolved) {
+      return { value: resolved, status: 'coerced', reason: 'rule' };
+    }
+  }
+
+  let best = null;
+  const candidates = [];
+  for (const canonical of allowedValues) {
+    for (const part of canonicalParts(canonical)) candidates.push([part, canonical]);
+  }
+  for (const [alias, canonical] of Object.entries(synonyms)) {
+    candidates.push([alias, canonical]);
+  }
+
+  for (const [candidate, canonical] of candidates) {
+    const score = similarity(normalized, candidate);
+    if (score >= minSimilarity && (!best || score > best.score)) {
+      best = { canonical, score };
+    }
+  }
+
+  if (best) {
+    return {
+      value: best.canonical,
+      status: 'coerced',
+      reason: `fuzzy:${best.score.toFixed(2)}`
+    };
+  }
+
+  return { value: null, status: 'rejected', reason: 'no-match' };
+}
+
+// fieldSpecs: { field: { values: [...], synonyms, resolve } }
+// بيرجع القيم بعد التصحيح + report فيه بس الحقول اللي اتغيرت أو اترفضت
+function validateEnumFields(record, fieldSpecs) {
+  const values = { ...record };
+  const report = {};
+
+  for (const [field, spec] of Object.entries(fieldSpecs)) {
+    if (!(field in values)) continue;
+
+    const original = values[field];
+    const result = coerceEnumValue(original, spec.values, spec);
+
+    values[field] = result.value;
+
+    if (result.status === 'coerced' || result.status === 'rejected') {
+      report[field] = {
+        status: result.status,
+        from: original,
+        to: result.value,
+        reason: result.reason
+      };
+    }
+  }
+
+  return { values, report };
+}
+
+module.exports = {
+  normalizeForMatch,
+  similarity,
+  coerceEnumValue,
+  validateEnumFields
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeForMatch } = require('./enumValidation');
+const { parseDateToIso } = require('./dates');
+const { mapWithConcurrency } = require('./concurrency');
+
+/* =========================
+   Offline evaluation (fixtures -> accuracy report)
+========================= */
+// الـ fixtures: <dir>/<type>/<name>.(pdf|png|jpg|jpeg) وجنبه <name>.json بالقيم المتوقعة.
+// الحقول اللي مش موجودة في الـ json ما بتتحسبش
+const FIXTURE_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+function loadFixtures(dir, { types } = {}) {
+  const fixtures = [];
+  const skipped = [];
+
+  if (!fs.existsSync(dir)) {
+    throw new Error(`fixtures folder not found: ${dir}`);
+  }
+
+  const typeDirs = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && (!types || types.includes(entry.name)))
+    .map((entry) => entry.name)
+    .sort();
+
+  for (const type of typeDirs) {
+    const files = fs.readdirSync(path.join(dir, type)).sort();
+
+    for (const name of files) {
+      const ext = path.extname(name).toLowerCase();
+      if (!FIXTURE_MIME_TYPES[ext]) continue;
+
+      const base = name.slice(0, -ext.length);
+      const expectedFile = path.join(dir, type, `${base}.json`);
+      if (!fs.existsSync(expectedFile)) {
+        skipped.push({ id: `${type}/${base}`, reason: 'missing expected json' });
+        continue;
+      }
+
+      const buffer = fs.readFileSync(path.join(dir, type, name));
+      fixtures.push({
+        id: `${type}/${base}`,
+        type,
+        file: {
+          originalname: name,
+          mimetype: FIXTURE_MIME_TYPES[ext],
+          size: buffer.length,
+          buffer
+        },
+        expected: JSON.parse(fs.readFileSync(expectedFile, 'utf8'))
+      });
+    }
+  }
+
+  return { fixtures, skipped };
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// normalized: من غير حروف كبيرة/مسافات/تشكيل، والتواريخ بتتقارن بعد التحويل لـ ISO
+function normalizedValue(value) {
+  if (isEmpty(value)) return '';
+  const iso = /\d/.test(String(value)) ? parseDateToIso(value) : null;
+  return iso || normalizeForMatch(value).replace(/\s+/g, '');
+}
+
+function compareField(expected, actual) {
+  if (isEmpty(expected) || isEmpty(actual)) {
+    const same = isEmpty(expected) && isEmpty(actual);
+    return { exact: same, normalized: same };
+  }
+  return {
+    exact: String(expected) === String(actual),
+    normalized: normalizedValue(expected) === normalizedValue(actual)
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function ratio(n, total) {
+  return total ? Math.round((n / total) * 1000) / 1000 : null;
+}
+
+function summarizeRun(results) {
+  const fields = {};
+  let exact = 0;
+  let normalized = 0;
+  let compared = 0;
+  const latencies = [];
+  const tokens = { prompt: 0, completion: 0, total: 0 };
+
+  for (const result of results) {
+    if (result.error) continue;
+    latencies.push(result.latencyMs);
+    tokens.prompt += result.usage?.prompt_tokens || 0;
+    tokens.completion += result.usage?.completion_tokens || 0;
+    tokens.total += result.usage?.total_tokens || 0;
+
+    for (const [field, outcome] of Object.entries(result.fields)) {
+      fields[field] = fields[field] || { exact: 0, normalized: 0, total: 0 };
+      fields[field].total++;
+      compared++;
+      if (outcome.exact) {
+        fields[field].exact++;
+        exact++;
+      }
+      if (outcome.normalized) {
+        fields[field].normalized++;
+        normalized++;
+      }
+    }
+  }
+
+  latencies.sort((a, b) => a - b);
+
+  return {
+    fixtures: results.length,
+    errors: results.filter((result) => result.error).length,
+    accuracy: { exact: ratio(exact, compared), normalized: ratio(normalized, compared), compared },
+    fields: Object.fromEntries(
+      Object.entries(fields).map(([field, counts]) => [
+        field,
+        {
+          ...counts,
+          exactAccuracy: ratio(counts.exact, counts.total),
+          normalizedAccuracy: ratio(counts.normalized, counts.total)
+        }
+      ])
+    ),
+    latencyMs: {
+      avg: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95)
+    },
+    tokens
+  };
+}
+
+// extract({ fixture, model, variant }) لازم ترجع { values, usage, model, extractionPath }
+// variants: [{ name, promptVersion(type) }] — نسخ الـ prompts اللي بنقارنها
+async function runEvaluation({ fixtures, models, variants, extract, concurrency = 1 }) {
+  const runs = [];
+
+  for (const variant of variants) {
+    for (const model of models) {
+      const results = await mapWithConcurrency(fixtures, concurrency, async (fixture) => {
+        const startedAt = Date.now();
+        try {
+          const output = await extract({ fixture, model, variant });
+          const fields = {};
+          const mismatches = [];
+
+          for (const [field, expected] of Object.entries(fixture.expected)) {
+            const actual = output.values?.[field] ?? null;
+            fields[field] = compareField(expected, actual);
+            if (!fields[field].normalized) mismatches.push({ field, expected, actual });
+          }
+
+          return {
+            id: fixture.id,
+            latencyMs: Date.now() - startedAt,
+            usage: output.usage || null,
+            resolvedModel: output.model,
+            extractionPath: output.extractionPath,
+            fields,
+            mismatches
+          };
+        } catch (error) {
+          console.warn(`[WARN] eval ${variant.name}/${model} ${fixture.id} failed: ${error.message}`);
+          return { id: fixture.id, latencyMs: Date.now() - startedAt, error: error.message };
+        }
+      });
+
+      const summary = summarizeRun(results);
+      console.log(
+        `[INFO] eval ${variant.name} / ${model}: exact ${summary.accuracy.exact}, normalized ${summary.accuracy.normalized}, errors ${summary.errors}`
+      );
+
+      runs.push({
+        variant: variant.name,
+        promptVersions: Object.fromEntries(
+          [...new Set(fixtures.map((fixture) => fixture.type))].map((type) => [type, variant.promptVersion(type)])
+        ),
+        model,
+        summary,
+        results: results.map(({ fields, ...rest }) => rest)
+      });
+    }
+  }
+
+  // الترتيب بالـ normalized accuracy، وبعدين الأسرع
+  const comparison = runs
+    .map((run) => ({
+      variant: run.variant,
+      model: run.model,
+      exact: run.summary.accuracy.exact,
+      normalized: run.summary.accuracy.normalized,
+      errors: run.summary.errors,
+      avgLatencyMs: run.summary.latencyMs.avg,
+      totalTokens: run.summary.tokens.total
+    }))
+    .sort((a, b) => (b.normalized ?? -1) - (a.normalized ?? -1) || (a.avgLatencyMs ?? 0) - (b.avgLatencyMs ?? 0));
+
+  return { createdAt: new Date().toISOString(), fixtures: fixtures.length, comparison, runs };
+}
+
+function buildMarkdownSummary(report) {
+  const lines = [
+    `# Evaluation ${report.createdAt}`,
+    '',
+    `Fixtures: ${report.fixtures}`,
+    '',
+    '| variant | model | exact | normalized | errors | avg ms | tokens |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...report.comparison.map(
+      (row) =>
+        `| ${row.variant} | ${row.model} | ${row.exact ?? '-'} | ${row.normalized ?? '-'} | ${row.errors} | ${row.avgLatencyMs ?? '-'} | ${row.totalTokens} |`
+    )
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+// بيكتب <name>.json و <name>.md ويرجع اسم التقرير
+function saveReport(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = `eval-${report.createdAt.replace(/[:.]/g, '-')}`;
+  fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(dir, `${name}.md`), buildMarkdownSummary(report));
+  return name;
+}
+
+function listReports(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => name.slice(0, -'.json'.length))
+    .sort()
+    .reverse();
+}
+
+function readReport(dir, name) {
+  if (!/^eval-[\w-]+$/.test(name)) return null;
+  const file = path.join(dir, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+module.exports = {
+  loadFixtures,
+  compareField,
+  runEvaluation,
+  saveReport,
+  listReports,
+  readReport
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Extraction store (SQLite) + human review
+========================= */
+// كل استخراج بيتسجل بالـ hash والموديل ورد الموديل والنتيجة بعد الـ normalize.
+// التصحيحات بتتخزن كـ diff (حقل: قديم -> جديد) عشان نحسب دقة كل حقل مع الوقت
+const REVIEW_STATUSES = ['pending', 'corrected', 'approved'];
+
+function toRecord(row, { withResult = false } = {}) {
+  if (!row) return null;
+
+  const record = {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    fileHash: row.file_hash,
+    filename: row.filename,
+    provider: row.provider,
+    model: row.model,
+    extractionPath: row.extraction_path,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by,
+    values: JSON.parse(row.values_json),
+    finalValues: row.final_values ? JSON.parse(row.final_values) : null
+  };
+
+  if (withResult) {
+    record.rawOutput = row.raw_output;
+    record.result = JSON.parse(row.result);
+  }
+  return record;
+}
+
+function valueOrNull(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function createExtractionStore({ enabled = true, sqlitePath }) {
+  if (!enabled) {
+    return { enabled: false };
+  }
+
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS extractions (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      file_hash TEXT NOT NULL,
+      filename TEXT,
+      provider TEXT,
+      model TEXT,
+      extraction_path TEXT,
+      raw_output TEXT,
+      result TEXT NOT NULL,
+      values_json TEXT NOT NULL,
+      final_values TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at TEXT NOT NULL,
+      reviewed_at TEXT,
+      reviewed_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS extractions_status ON extractions (status, type, created_at);
+    CREATE INDEX IF NOT EXISTS extractions_file_hash ON extractions (file_hash);
+
+    CREATE TABLE IF NOT EXISTS extraction_corrections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      extraction_id TEXT NOT NULL REFERENCES extractions (id) ON DELETE CASCADE,
+      field TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      reviewer TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS extraction_corrections_extraction ON extraction_corrections (extraction_id);
+  `);
+
+  const insertExtraction = db.prepare(`
+    INSERT INTO extractions (
+      id, type, file_hash, filename, provider, model, extraction_path,
+      raw_output, result, values_json, status, created_at
+    ) VALUES (
+      @id, @type, @fileHash, @filename, @provider, @model, @extractionPath,
+      @rawOutput, @result, @values, 'pending', @createdAt
+    )
+  `);
+  const selectOne = db.prepare('SELECT * FROM extractions WHERE id = ?');
+  const selectCorrections = db.prepare(
+    'SELECT field, old_value, new_value, reviewer, created_at FROM extraction_corrections WHERE extraction_id = ? ORDER BY id'
+  );
+  const insertCorrection = db.prepare(`
+    INSERT INTO extraction_corrections (extraction_id, field, old_value, new_value, reviewer, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const updateReview = db.prepare(`
+    UPDATE extractions
+    SET final_values = @finalValues, status = @status, reviewed_at = @reviewedAt, reviewed_by = @reviewer
+    WHERE id = @id
+  `);
+
+  async function save({ type, fileHash, filename, provider, model, extractionPath, rawOutput, result, values }) {
+    const id = crypto.randomUUID();
+    insertExtraction.run({
+      id,
+      type,
+      fileHash,
+      filename: filename || null,
+      provider: provider || null,
+      model: model || null,
+      extractionPath: extractionPath || null,
+      rawOutput: rawOutput ?? null,
+      result: JSON.stringify(result),
+      values: JSON.stringify(values || {}),
+      createdAt: new Date().toISOString()
+    });
+    return id;
+  }
+
+  async function get(id) {
+    const record = toRecord(selectOne.get(id), { withResult: true });
+    if (!record) return null;
+
+    record.corrections = selectCorrections.all(id).map((row) => ({
+      field: row.field,
+      from: row.old_value,
+      to: row.new_value,
+      reviewer: row.reviewer,
+      createdAt: row.created_at
+    }));
+    return record;
+  }
+
+  async function list({ status, type, fileHash, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (status) {
+      const statuses = [].concat(status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (type) {
+      where.push('type = ?');
+      params.push(type);
+    }
+    if (fileHash) {
+      where.push('file_hash = ?');
+      params.push(fileHash);
+    }
+    const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM extractions${clause}`).get(...params).n;
+    const rows = db
+      .prepare(`SELECT * FROM extractions${clause} ORDER BY created_at ASC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { total, items: rows.map((row) => toRecord(row)) };
+  }
+
+  // corrections: { field: newValue }. بيتسجل بس الحقول اللي قيمتها اتغيرت فعلًا
+  // approve: بيقفل العنصر (approved)، غير كده بيبقى corrected لو فيه تغيير
+  const review = db.transaction((id, { corrections = {}, reviewer = null, approve = false }) => {
+    const row = selectOne.get(id);
+    if (!row) return null;
+
+    const current = row.final_values ? JSON.parse(row.final_values) : JSON.parse(row.values_json);
+    const finalValues = { ...current };
+    const now = new Date().toISOString();
+    const diffs = [];
+
+    for (const [field, next] of Object.entries(corrections)) {
+      const from = valueOrNull(current[field]);
+      const to = valueOrNull(next);
+      if (from === to) continue;
+
+      insertCorrection.run(id, field, from, to, reviewer, now);
+      finalValues[field] = to;
+      diffs.push({ field, from, to });
+    }
+
+    let status = row.status;
+    if (approve) status = 'approved';
+    else if (diffs.length) status = 'corrected';
+
+    updateReview.run({
+      id,
+      finalValues: JSON.stringify(finalValues),
+      status,
+      reviewedAt: now,
+      reviewer
+    });
+
+    return { diffs, status };
+  });
+
+  // دقة كل حقل = نسبة العناصر الـ approved اللي الحقل ده ما اتصححش فيها
+  async function fieldAccuracy({ type, model, since } = {}) {
+    const where = ["e.status = 'approved'"];
+    const params = [];
+    if (type) {
+      where.push('e.type = ?');
+      params.push(type);
+    }
+    if (model) {
+      where.push('e.model = ?');
+      params.push(model);
+    }
+    if (since) {
+      where.push('e.created_at >= ?');
+      params.push(since);
+    }
+    const clause = where.join(' AND ');
+
+    const approved = db.prepare(`SELECT COUNT(*) AS n FROM extractions e WHERE ${clause}`).get(...params).n;
+    const corrected = db
+      .prepare(
+        `SELECT c.field, COUNT(DISTINCT c.extraction_id) AS n
+         FROM extraction_corrections c JOIN extractions e ON e.id = c.extraction_id
+         WHERE ${clause}
+         GROUP BY c.field`
+      )
+      .all(...params);
+
+    return {
+      approved,
+      corrected: Object.fromEntries(corrected.map((row) => [row.field, row.n]))
+    };
+  }
+
+  async function stats() {
+    const rows = db.prepare('SELECT type, status, COUNT(*) AS n FROM extractions GROUP BY type, status').all();
+    const byType = {};
+    for (const row of rows) {
+      byType[row.type] = byType[row.type] || {};
+      byType[row.type][row.status] = row.n;
+    }
+    return byType;
+  }
+
+  return {
+    enabled: true,
+    save,
+    get,
+    list,
+    async review(id, options) {
+      return review(id, options);
+    },
+    fieldAccuracy,
+    stats
+  };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  createExtractionStore
+};
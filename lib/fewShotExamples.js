@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Few-shot examples (per type / office)
+========================= */
+// أمثلة input/output متراجعة بتتحط في الـ prompt عشان نفس الغلطات ما تتكررش
+// (قوالب مكتب معين، شكل أرقام تليفونات دولة معينة...).
+// officeName = null يعني المثال عام لكل المكاتب
+function toExample(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    officeName: row.office_name,
+    input: row.input_text,
+    output: JSON.parse(row.output_json),
+    note: row.note,
+    enabled: Boolean(row.enabled),
+    sourceExtractionId: row.source_extraction_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// الجزء اللي بيتضاف للـ prompt بعد الـ rules
+function buildExamplesSection(examples) {
+  if (!examples || !examples.length) return '';
+
+  const blocks = examples.map(
+    (example, index) => `Example ${index + 1}${example.note ? ` (${example.note})` : ''}
+Input:
+"""
+${example.input}
+"""
+Output:
+${JSON.stringify(example.output)}`
+  );
+
+  return `
+📚 REVIEWED EXAMPLES (same document type; follow the same conventions, do NOT copy their values):
+
+${blocks.join('\n\n')}
+`;
+}
+
+function createExampleStore({ enabled = true, sqlitePath }) {
+  if (!enabled) {
+    return { enabled: false, async select() { return []; } };
+  }
+
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS few_shot_examples (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      office_name TEXT,
+      input_text TEXT NOT NULL,
+      output_json TEXT NOT NULL,
+      note TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      source_extraction_id TEXT,
+      created_by TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS few_shot_examples_type ON few_shot_examples (type, office_name);
+  `);
+
+  const insertExample = db.prepare(`
+    INSERT INTO few_shot_examples (
+      id, type, office_name, input_text, output_json, note, source_extraction_id, created_by, created_at
+    ) VALUES (
+      @id, @type, @officeName, @input, @output, @note, @sourceExtractionId, @createdBy, @createdAt
+    )
+  `);
+  const selectOne = db.prepare('SELECT * FROM few_shot_examples WHERE id = ?');
+  const deleteOne = db.prepare('DELETE FROM few_shot_examples WHERE id = ?');
+  const updateEnabled = db.prepare('UPDATE few_shot_examples SET enabled = ? WHERE id = ?');
+
+  // أمثلة المكتب نفسه الأول، وبعدين العامة، والأحدث الأول في كل مجموعة
+  const selectForPrompt = db.prepare(`
+    SELECT * FROM few_shot_examples
+    WHERE enabled = 1 AND type = @type
+      AND (office_name IS NULL OR lower(office_name) = lower(@officeName))
+    ORDER BY (office_name IS NULL) ASC, created_at DESC
+    LIMIT @limit
+  `);
+
+  async function add({ type, officeName, input, output, note, sourceExtractionId, createdBy }) {
+    const id = crypto.randomUUID();
+    insertExample.run({
+      id,
+      type,
+      officeName: officeName || null,
+      input,
+      output: JSON.stringify(output),
+      note: note || null,
+      sourceExtractionId: sourceExtractionId || null,
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString()
+    });
+    return toExample(selectOne.get(id));
+  }
+
+  async function get(id) {
+    const row = selectOne.get(id);
+    return row ? toExample(row) : null;
+  }
+
+  async function list({ type, officeName } = {}) {
+    const where = [];
+    const params = [];
+    if (type) {
+      where.push('type = ?');
+      params.push(type);
+    }
+    if (officeName) {
+      where.push('lower(office_name) = lower(?)');
+      params.push(officeName);
+    }
+    const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+
+    return db
+      .prepare(`SELECT * FROM few_shot_examples${clause} ORDER BY type, office_name, created_at DESC`)
+      .all(...params)
+      .map(toExample);
+  }
+
+  async function setEnabled(id, value) {
+    return updateEnabled.run(value ? 1 : 0, id).changes > 0;
+  }
+
+  async function remove(id) {
+    return deleteOne.run(id).changes > 0;
+  }
+
+  async function select({ type, officeName, limit }) {
+    if (!limit) return [];
+    return selectForPrompt.all({ type, officeName: officeName || '', limit }).map(toExample);
+  }
+
+  return {
+    enabled: true,
+    add,
+    get,
+    list,
+    setEnabled,
+    remove,
+    select
+  };
+}
+
+module.exports = {
+  buildExamplesSection,
+  createExampleStore
+};
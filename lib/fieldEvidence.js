@@ -0,0 +1,159 @@
+/* =========================
+   Per-field evidence (?detail=1)
+========================= */
+// الموديل بيرجع _evidence جنب القيم، وبعدين بنعدّل الثقة حسب الـ validation والـ warnings المحلية
+const EVIDENCE_KEY = '_evidence';
+
+// warnings معلوماتية (تغيير شكل بس) ما بتقللش الثقة
+const NEUTRAL_WARNINGS = ['time_normalized', 'flight_number_normalized', 'next_day_arrival'];
+
+function buildEvidenceRules(keys) {
+  return `
+🔎 FIELD EVIDENCE (one more allowed extra key):
+- Add "${EVIDENCE_KEY}": an object with ONE entry for EACH of these keys: ${keys.map((key) => `"${key}"`).join(', ')}.
+- Each entry: {"confidence": number 0-1 (how clearly the value was read; low if guessed or inferred), "snippet": the exact text copied from the document that the value came from (max 80 characters) or null, "page": 1-based page number or null}.
+- For null values use {"confidence": 0, "snippet": null, "page": null}.
+`;
+}
+
+function evidenceSchema(keys) {
+  const entry = {
+    type: 'object',
+    properties: {
+      confidence: { type: 'number' },
+      snippet: { type: ['string', 'null'] },
+      page: { type: ['integer', 'null'] }
+    },
+    required: ['confidence', 'snippet', 'page'],
+    additionalProperties: false
+  };
+
+  const properties = {};
+  for (const key of keys) properties[key] = entry;
+
+  return { type: 'object', properties, required: keys, additionalProperties: false };
+}
+
+// نسخة من الـ response_format فيها _evidence (الـ schema الأصلي ما بيتغيرش)
+function withEvidenceFormat(responseFormat, keys) {
+  const schema = responseFormat.json_schema.schema;
+
+  return {
+    ...responseFormat,
+    json_schema: {
+      ...responseFormat.json_schema,
+      schema: {
+        ...schema,
+        properties: { ...schema.properties, [EVIDENCE_KEY]: evidenceSchema(keys) },
+        required: [...schema.required, EVIDENCE_KEY]
+      }
+    }
+  };
+}
+
+function clamp01(value) {
+  const n = Number.parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(1, Math.max(0, n > 1 ? n / 100 : n));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// أول مكان القيمة ظهرت فيه في النص المحلي (pdf-parse / OCR) ± شوية حروف
+function findSnippet(sourceText, value) {
+  if (!sourceText || !value) return null;
+  const needle = String(value).trim().toLowerCase();
+  if (needle.length < 2) return null;
+
+  const index = sourceText.toLowerCase().indexOf(needle);
+  if (index === -1) return null;
+
+  const start = Math.max(0, index - 30);
+  const end = Math.min(sourceText.length, index + needle.length + 30);
+  return sourceText.slice(start, end).replace(/\s+/g, ' ').trim();
+}
+
+// بيرجع { fields: { key: { value, confidence, snippet, page, source, adjustments } }, lowConfidence }
+// warningFieldsFor: أسماء الـ warnings اللي تخص الحقل (التذاكر: segments[0].departure_date -> departure_date)
+function buildFieldDetails({
+  keys,
+  values,
+  parsed,
+  validation = {},
+  warnings = [],
+  sourceText = null,
+  extractionPath = '',
+  pagesUsed = null,
+  isImage = false,
+  threshold = 0.7,
+  warningFieldsFor = (key) => [key]
+}) {
+  const evidence = parsed && typeof parsed[EVIDENCE_KEY] === 'object' ? parsed[EVIDENCE_KEY] || {} : {};
+  const fromRules = extractionPath.endsWith('+rules');
+  const fields = {};
+  const lowConfidence = [];
+
+  for (const key of keys) {
+    const value = values[key] ?? null;
+    const entry = evidence[key] || {};
+    const adjustments = [];
+
+    let snippet = entry.snippet ? String(entry.snippet) : null;
+    let source = snippet ? 'model' : null;
+    if (!snippet) {
+      snippet = findSnippet(sourceText, value);
+      if (snippet) source = 'text-match';
+    }
+
+    let page = Number.isInteger(entry.page) && entry.page > 0 ? entry.page : null;
+    if (!page && isImage) page = 1;
+    if (!page && pagesUsed && pagesUsed.length === 1) page = pagesUsed[0];
+
+    let confidence = null;
+    if (value !== null) {
+      // من غير evidence من الموديل: الـ regex أضعف من الموديل
+      confidence = clamp01(entry.confidence) ?? (fromRules ? 0.4 : 0.6);
+
+      const report = validation[key];
+      if (report?.status === 'coerced') {
+        confidence *= 0.85;
+        adjustments.push(`coerced:${report.reason}`);
+      }
+
+      const related = warningFieldsFor(key);
+      for (const warning of warnings.filter((w) => related.includes(w.field))) {
+        if (warning.code === 'mrz_override') {
+          confidence = 0.99;
+          source = 'mrz';
+        } else if (warning.code === 'mrz_checksum_failed') {
+          confidence = Math.min(confidence, 0.5);
+        } else if (!NEUTRAL_WARNINGS.includes(warning.code)) {
+          confidence *= 0.7;
+        }
+        adjustments.push(warning.code);
+      }
+
+      if (source === null && sourceText) {
+        // عندنا النص ومش لاقيين القيمة فيه: غالبًا الموديل استنتجها
+        confidence *= 0.8;
+        adjustments.push('not-found-in-text');
+      }
+
+      confidence = round2(confidence);
+      if (confidence < threshold) lowConfidence.push(key);
+    }
+
+    fields[key] = { value, confidence, snippet, page, source, adjustments };
+  }
+
+  return { fields, lowConfidence, threshold };
+}
+
+module.exports = {
+  EVIDENCE_KEY,
+  buildEvidenceRules,
+  withEvidenceFormat,
+  buildFieldDetails
+};
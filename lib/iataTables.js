@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeForMatch, similarity } = require('./enumValidation');
+
+/* =========================
+   Airports / airlines (IATA) reference tables
+========================= */
+// جداول offline، ممكن تتغير بـ AIRPORTS_FILE / AIRLINES_FILE
+const AIRPORTS_FILE =
+  process.env.AIRPORTS_FILE || path.resolve(__dirname, '..', 'data', 'airports.json');
+const AIRLINES_FILE =
+  process.env.AIRLINES_FILE || path.resolve(__dirname, '..', 'data', 'airlines.json');
+
+// "King Khalid Intl" و "King Khalid International Airport" نفس المطار
+const GENERIC_WORDS = /\b(?:international|intl|airport|airways|airlines?)\b|مطار|الدولي/g;
+
+function stripGenericWords(normalized) {
+  return normalized.replace(GENERIC_WORDS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function loadTable(file, nameKeys) {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`IATA table must contain an array: ${file}`);
+  }
+
+  return entries.map((entry) => {
+    if (!entry.iata) {
+      throw new Error(`IATA table entry without iata code in ${file}`);
+    }
+
+    const names = [...nameKeys.map((key) => entry[key]), ...(entry.aliases || [])].filter(Boolean);
+    const keys = names.map(normalizeForMatch);
+
+    return {
+      ...entry,
+      iata: entry.iata.toUpperCase(),
+      matchKeys: [...new Set([...keys, ...keys.map(stripGenericWords)].filter(Boolean))]
+    };
+  });
+}
+
+const airports = loadTable(AIRPORTS_FILE, ['name', 'city']);
+const airlines = loadTable(AIRLINES_FILE, ['name']);
+
+function stripMatchKeys({ matchKeys, ...entry }) {
+  return entry;
+}
+
+function findByName(table, rawValue, minSimilarity) {
+  const normalized = stripGenericWords(normalizeForMatch(rawValue));
+  if (!normalized) return null;
+
+  const direct = table.find((entry) => entry.matchKeys.includes(normalized));
+  if (direct) return { entry: direct, reason: 'name' };
+
+  // "Riyadh (RUH) King Khalid Intl" -> أي key موجود جوه النص
+  const contained = table.find((entry) =>
+    entry.matchKeys.some((key) => key.length >= 4 && ` ${normalized} `.includes(` ${key} `))
+  );
+  if (contained) return { entry: contained, reason: 'name-contains' };
+
+  let best = null;
+  for (const entry of table) {
+    for (const key of entry.matchKeys) {
+      const score = similarity(normalized, key);
+      if (score >= minSimilarity && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    }
+  }
+
+  return best ? { entry: best.entry, reason: `fuzzy:${best.score.toFixed(2)}` } : null;
+}
+
+function findAirport(code) {
+  const iata = String(code || '').trim().toUpperCase();
+  const entry = airports.find((airport) => airport.iata === iata);
+  return entry ? stripMatchKeys(entry) : null;
+}
+
+function findAirline(code) {
+  const value = String(code || '').trim().toUpperCase();
+  const entry = airlines.find((airline) => airline.iata === value || airline.icao === value);
+  return entry ? stripMatchKeys(entry) : null;
+}
+
+// بيرجع { value, entry, status: 'ok' | 'coerced' | 'unknown' | 'rejected' | 'empty', reason }
+function resolveAirport(rawValue, { minSimilarity = 0.85 } = {}) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+    return { value: null, entry: null, status: 'empty' };
+  }
+
+  const text = String(rawValue).trim();
+  if (/^[A-Za-z]{3}$/.test(text)) {
+    const entry = findAirport(text);
+    const value = text.toUpperCase();
+    // كود IATA مش في الجدول: بنسيبه زي ما هو لأن الجدول مش شامل
+    if (!entry) return { value, entry: null, status: 'unknown', reason: 'code-not-in-table' };
+    return { value, entry, status: value === text ? 'ok' : 'coerced', reason: 'iata' };
+  }
+
+  // "Riyadh (RUH)"
+  const embedded = text.match(/\(([A-Z]{3})\)/);
+  if (embedded && findAirport(embedded[1])) {
+    return { value: embedded[1], entry: findAirport(embedded[1]), status: 'coerced', reason: 'embedded-code' };
+  }
+
+  const hit = findByName(airports, text, minSimilarity);
+  if (hit) {
+    return { value: hit.entry.iata, entry: stripMatchKeys(hit.entry), status: 'coerced', reason: hit.reason };
+  }
+
+  return { value: text, entry: null, status: 'rejected', reason: 'no-match' };
+}
+
+function resolveAirline(rawValue, { minSimilarity = 0.85 } = {}) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+    return { value: null, entry: null, status: 'empty' };
+  }
+
+  const text = String(rawValue).trim();
+  const exact = airlines.find((airline) => airline.name === text);
+  if (exact) return { value: exact.name, entry: stripMatchKeys(exact), status: 'ok' };
+
+  // "ET" / "ETH"
+  if (/^[A-Za-z0-9]{2,3}$/.test(text)) {
+    const byCode = findAirline(text);
+    if (byCode) return { value: byCode.name, entry: byCode, status: 'coerced', reason: 'designator' };
+  }
+
+  const hit = findByName(airlines, text, minSimilarity);
+  if (hit) {
+    return { value: hit.entry.name, entry: stripMatchKeys(hit.entry), status: 'coerced', reason: hit.reason };
+  }
+
+  return { value: text, entry: null, status: 'rejected', reason: 'no-match' };
+}
+
+module.exports = {
+  AIRPORTS_FILE,
+  AIRLINES_FILE,
+  findAirport,
+  findAirline,
+  resolveAirport,
+  resolveAirline
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/* =========================
+   In-process job queue
+========================= */
+// الـ jobs في الذاكرة بس: لو السيرفر اتقفل، اللي في الطابور بيضيع
+function createJobQueue({ concurrency = 2, maxQueued = 100, retentionSeconds = 24 * 60 * 60, onFinished }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function prune() {
+    const cutoff = Date.now() - retentionSeconds * 1000;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length) {
+      const job = pending.shift();
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[INFO] job ${job.id} (${job.type}) started`);
+
+    try {
+      job.result = await job.task();
+      job.status = 'succeeded';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.jobError || { error: error.message };
+      job.httpStatus = error.status || 500;
+    } finally {
+      // الملف نفسه مش محتاجينه بعد ما الـ job تخلص
+      job.task = null;
+      job.finishedAt = new Date().toISOString();
+      console.log(`[INFO] job ${job.id} ${job.status}`);
+    }
+
+    if (onFinished) {
+      await Promise.resolve(onFinished(job)).catch((callbackError) => {
+        console.error(`[ERROR] job ${job.id} onFinished:`, callbackError.message);
+      });
+    }
+  }
+
+  // task: async () => result. لو رمت error فيه jobError بيتخزن زي ما هو كـ body للخطأ
+  // apiKeyId: صاحب الـ job (null = من غير مفتاح)، مفيش مفتاح تاني يقدر يقراها
+  function enqueue({ type, task, callbackUrl = null, apiKeyId = null, meta = {} }) {
+    prune();
+
+    if (pending.length >= maxQueued) {
+      const error = new Error('Job queue is full');
+      error.status = 503;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      callbackUrl,
+      apiKeyId,
+      callback: callbackUrl ? { status: 'pending', attempts: 0 } : null,
+      meta,
+      result: null,
+      error: null,
+      httpStatus: null,
+      task
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    pump();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function position(job) {
+    const index = pending.indexOf(job);
+    return index === -1 ? null : index + 1;
+  }
+
+  function stats() {
+    return { concurrency, running, queued: pending.length, stored: jobs.size };
+  }
+
+  return { enqueue, get, position, stats };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/* =========================
+   Structured logging (JSON lines, PII redaction, request IDs)
+========================= */
+// كل الكود القديم بيكتب console.log('[INFO] ...'): بنحوّل console نفسه للـ logger بدل ما نغير كل سطر.
+// الـ tag ([DEBUG]/[INFO]/[WARN]/[ERROR]) هو الـ level، والقيم الحساسة بتتخبى قبل ما تتكتب
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const TAG_PATTERN = /^\s*\[(DEBUG|INFO|WARN|ERROR)\]\s*/;
+
+// مفاتيح PII ثابتة غير اللي في الـ schemas (نتيجة الـ MRZ وحقول الركاب)
+const DEFAULT_PII_KEYS = [
+  '_mrz',
+  'mrz_lines',
+  'lines',
+  'documentNumber',
+  'birthDate',
+  'surname',
+  'givenNames',
+  'passenger_name',
+  'passengerName',
+  'passengers',
+  // أسماء الملفات المرفوعة غالبًا فيها اسم صاحب المستند
+  'filename',
+  'originalname'
+];
+
+const requestContext = new AsyncLocalStorage();
+
+function maskValue(value) {
+  if (value === null || value === undefined || value === '') return value;
+  if (typeof value === 'object') return '[REDACTED]';
+
+  const text = String(value);
+  if (text.length <= 4) return '***';
+  return `${text[0]}***${text[text.length - 1]}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createRedactor(initialKeys = []) {
+  const keys = new Set();
+  let keyValuePattern = null;
+
+  function addKeys(list) {
+    for (const key of list) keys.add(String(key).toLowerCase());
+    // "Name": "AMINA" جوه نص مش JSON سليم (رد موديل مكسور مثلًا)
+    keyValuePattern = new RegExp(
+      `"(${[...keys].map(escapeRegExp).join('|')})"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`,
+      'gi'
+    );
+  }
+
+  function redactObject(value, depth = 0) {
+    if (depth > 8 || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map((item) => redactObject(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = keys.has(key.toLowerCase()) ? maskValue(item) : redactObject(item, depth + 1);
+    }
+    return copy;
+  }
+
+  function redactString(text) {
+    let value = String(text);
+
+    const trimmed = value.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        return JSON.stringify(redactObject(JSON.parse(trimmed)));
+      } catch {
+        // مش JSON سليم: نكمل بالـ patterns
+      }
+    }
+
+    if (keyValuePattern) {
+      value = value.replace(keyValuePattern, (match, key, inner) => `"${key}": "${maskValue(inner)}"`);
+    }
+
+    return value
+      // سطور MRZ (P<UGANAKATO<<AMINA<<<...)
+      .replace(/(?<![A-Z0-9<])[A-Z0-9<]{28,44}(?![A-Z0-9<])/g, (line) =>
+        line.split('<').length > 3 ? '[MRZ]' : line
+      )
+      // أرقام تليفونات (+256 772 123456 / 0772123456)
+      .replace(/\+\d[\d\s-]{7,}\d|\b0\d{9,12}\b/g, (phone) => maskValue(phone.replace(/[\s-]/g, '')));
+  }
+
+  function redact(value) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return redactString(value.message);
+    if (value && typeof value === 'object') return redactObject(value);
+    return value;
+  }
+
+  addKeys([...DEFAULT_PII_KEYS, ...initialKeys]);
+  return { addKeys, redact, redactString };
+}
+
+// level: أقل level بيتكتب (info على الأقل). الـ debug بيشتغل بس لما أدمن يفتحه لفترة (setDebugUntil)،
+// عشان ردود الموديل الخام متفضلش تتكتب على طول
+function createLogger({
+  level = 'info',
+  format = 'json',
+  redactKeys = [],
+  stdout = process.stdout,
+  stderr = process.stderr
+}) {
+  const baseLevel = LEVELS[level] && level !== 'debug' ? level : 'info';
+  const redactor = createRedactor(redactKeys);
+  let debugUntil = 0;
+
+  function enabled(name) {
+    const threshold = Date.now() < debugUntil ? LEVELS.debug : LEVELS[baseLevel];
+    return LEVELS[name] >= threshold;
+  }
+
+  function write(name, msg, fields = {}) {
+    if (!enabled(name)) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level: name,
+      ...(context?.requestId && { requestId: context.requestId }),
+      msg: redactor.redactString(msg),
+      ...redactor.redact(fields)
+    };
+
+    const stream = LEVELS[name] >= LEVELS.warn ? stderr : stdout;
+    if (format === 'text') {
+      const { time, level: lvl, requestId, msg: text, ...rest } = entry;
+      const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+      stream.write(`${time} ${lvl.toUpperCase()}${requestId ? ` [${requestId}]` : ''} ${text}${extra}\n`);
+    } else {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  // console.log('[DEBUG] Raw model response:', rawText) -> debug + msg متخبي فيه الـ PII
+  function fromConsoleArgs(fallbackLevel, args) {
+    let name = fallbackLevel;
+    const parts = [...args];
+
+    if (typeof parts[0] === 'string') {
+      const match = parts[0].match(TAG_PATTERN);
+      if (match) {
+        name = match[1].toLowerCase();
+        parts[0] = parts[0].slice(match[0].length);
+      }
+    }
+    if (!enabled(name)) return;
+
+    const data = [];
+    const text = [];
+    for (const part of parts) {
+      if (part instanceof Error) {
+        text.push(part.message);
+      } else if (part && typeof part === 'object') {
+        data.push(part);
+      } else {
+        text.push(util.format('%s', part));
+      }
+    }
+
+    write(name, text.join(' '), data.length ? { data: data.length === 1 ? data[0] : data } : {});
+  }
+
+  function installConsole() {
+    console.log = (...args) => fromConsoleArgs('info', args);
+    console.info = (...args) => fromConsoleArgs('info', args);
+    console.debug = (...args) => fromConsoleArgs('debug', args);
+    console.warn = (...args) => fromConsoleArgs('warn', args);
+    console.error = (...args) => fromConsoleArgs('error', args);
+  }
+
+  function setDebugUntil(timestamp) {
+    debugUntil = timestamp;
+  }
+
+  function debugState() {
+    const active = Date.now() < debugUntil;
+    return {
+      level: baseLevel,
+      debug: active,
+      debugUntil: active ? new Date(debugUntil).toISOString() : null
+    };
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    addRedactKeys: redactor.addKeys,
+    redact: redactor.redact,
+    installConsole,
+    setDebugUntil,
+    debugState
+  };
+}
+
+// X-Request-Id: من الـ header لو شكله سليم، وإلا بنولّد واحد. بيرجع في الـ response ومع كل سطر log
+function createRequestIdMiddleware({ logger, header = 'x-request-id' }) {
+  return function requestIdMiddleware(req, res, next) {
+    const incoming = String(req.get(header) || '');
+    req.id = /^[\w.:-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    // الـ finish بيحصل برا الـ async context فالـ requestId بيتبعت صريح
+    res.on('finish', () => {
+      logger.info('request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        ...(req.apiKey && { apiKey: req.apiKey.prefix })
+      });
+    });
+
+    requestContext.run({ requestId: req.id }, () => {
+      // multer و express.json بيكملوا من events الـ stream (برا الـ context) فبنربط emit بيه
+      req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+      next();
+    });
+  };
+}
+
+module.exports = {
+  createLogger,
+  createRedactor,
+  createRequestIdMiddleware
+};
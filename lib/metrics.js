@@ -0,0 +1,122 @@
+/* =========================
+   Prometheus metrics (text exposition)
+========================= */
+// registry صغير في الذاكرة (لكل process): counters و histograms بـ labels، و render() بيطلع
+// الصيغة اللي Prometheus بيعملها scrape (text/plain; version=0.0.4)
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// بالثواني: من طلب سريع لحد call موديل على PDF كبير
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`metric "${metric.name}" is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  // الـ series بتتخزن بمفتاح = قيم الـ labels بالترتيب
+  function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+  }
+
+  function counter({ name, help, labels: labelNames = [] }) {
+    const series = new Map();
+
+    return register({
+      name,
+      inc(labels, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const [key, value] of series) {
+          lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  function histogram({ name, help, labels: labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+
+    return register({
+      name,
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const [key, entry] of series) {
+          const values = JSON.parse(key);
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, values)} ${Math.round(entry.sum * 1e6) / 1e6}`);
+          lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  function render() {
+    return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  return { counter, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// زي withUsageTracking: نفس الـ provider، بس كل call (ناجحة أو فاشلة) بتتقاس مدتها وبتروح لـ onCall
+function withCallMetrics(provider, onCall) {
+  async function timed(task, requestedModel, run) {
+    const startedAt = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    try {
+      const data = await run();
+      onCall({ task, requestedModel, data, seconds: seconds() });
+      return data;
+    } catch (error) {
+      onCall({ task, requestedModel, error, seconds: seconds() });
+      throw error;
+    }
+  }
+
+  return {
+    ...provider,
+    chat: (options) => timed(options.task, options.model, () => provider.chat(options)),
+    chatWithPdf: (options) => timed(options.task, options.primaryModel, () => provider.chatWithPdf(options))
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  withCallMetrics
+};
@@ -0,0 +1,262 @@
+/* =========================
+   Structured output (JSON schema / response_format)
+========================= */
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+// كل القيم strings أو null زي الـ flat JSON اللي بنطلبه في الـ prompts
+function objectSchema(keys, extraProperties = {}) {
+  const properties = {};
+  for (const key of keys) properties[key] = NULLABLE_STRING;
+  Object.assign(properties, extraProperties);
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+function buildResponseFormat(name, schema) {
+  return {
+    type: 'json_schema',
+    json_schema: { name, strict: true, schema }
+  };
+}
+
+/* =========================
+   Local JSON repair
+========================= */
+// بيقسم النص لأجزاء جوه/برا الـ strings عشان التصليحات ما تلمسش القيم نفسها
+function splitByStrings(text) {
+  const parts = [];
+  let current = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      current += ch;
+      if (ch === '\\') {
+        current += text[i + 1] ?? '';
+        i++;
+      } else if (ch === '"') {
+        parts.push({ string: true, text: current });
+        current = '';
+        inString = false;
+      }
+    } else if (ch === '"') {
+      if (current) parts.push({ string: false, text: current });
+      current = '"';
+      inString = true;
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current) parts.push({ string: inString, text: current });
+  return parts;
+}
+
+function mapOutsideStrings(text, fn) {
+  return splitByStrings(text)
+    .map((part) => (part.string ? part.text : fn(part.text)))
+    .join('');
+}
+
+function stripFences(text) {
+  return text.replace(/```(?:json)?\s*/gi, '').replace(/\s*```/g, '').trim();
+}
+
+// بياخد أول object كامل ويشيل أي كلام قبله أو بعده
+function extractObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return text;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  // مقفلش: غالبًا اتقطع عند max_tokens، نسيبه للـ closeTruncated
+  return text.slice(start);
+}
+
+function normalizeQuotes(text) {
+  return mapOutsideStrings(text, (part) => part.replace(/[“”„]/g, '"').replace(/[‘’]/g, "'"));
+}
+
+// 'value' -> "value" (برا الـ strings العادية بس)
+function singleToDoubleQuotes(text) {
+  let out = '';
+  let inDouble = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inDouble) {
+      out += ch;
+      if (ch === '\\') {
+        out += text[i + 1] ?? '';
+        i++;
+      } else if (ch === '"') {
+        inDouble = false;
+      }
+    } else if (ch === '"') {
+      inDouble = true;
+      out += ch;
+    } else if (ch === "'") {
+      let value = '';
+      let j = i + 1;
+      for (; j < text.length && text[j] !== "'"; j++) {
+        if (text[j] === '\\' && text[j + 1] === "'") {
+          value += "'";
+          j++;
+        } else if (text[j] === '"') {
+          value += '\\"';
+        } else {
+          value += text[j];
+        }
+      }
+      out += `"${value}"`;
+      i = j;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+function quoteKeys(text) {
+  return mapOutsideStrings(text, (part) =>
+    part.replace(/([{,]\s*)([A-Za-z_][\w-]*)(\s*:)/g, '$1"$2"$3')
+  );
+}
+
+function pythonLiterals(text) {
+  return mapOutsideStrings(text, (part) =>
+    part.replace(/\bNone\b/g, 'null').replace(/\bTrue\b/g, 'true').replace(/\bFalse\b/g, 'false')
+  );
+}
+
+function removeTrailingCommas(text) {
+  return mapOutsideStrings(text, (part) => part.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// رد اتقطع عند max_tokens: نقفل الـ string والأقواس المفتوحة
+function closeTruncated(text) {
+  const stack = [];
+  let inString = false;
+  let lastStringIsKey = false;
+  let stringStart = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const top = stack[stack.length - 1];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      stringStart = i;
+      lastStringIsKey = Boolean(top && top.type === '{' && top.expectKey);
+    } else if (ch === '{') {
+      stack.push({ type: '{', expectKey: true });
+    } else if (ch === '[') {
+      stack.push({ type: '[' });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ':' && top) {
+      top.expectKey = false;
+    } else if (ch === ',' && top && top.type === '{') {
+      top.expectKey = true;
+    }
+  }
+
+  if (!stack.length && !inString) return text;
+
+  let out = text;
+  if (inString) {
+    // key مقطوع ملوش قيمة: نشيله خالص
+    out = lastStringIsKey ? out.slice(0, stringStart) : `${out}"`;
+  }
+
+  out = out.replace(/\s+$/, '');
+  // literal مقطوع (tru / nul / 12.)
+  out = out.replace(/:\s*(?:[a-z]+|-?\d+\.)$/i, ':');
+
+  const top = stack[stack.length - 1];
+  if (/:$/.test(out)) {
+    out += 'null';
+  } else if (/,$/.test(out)) {
+    out = out.slice(0, -1);
+  } else if (top && top.type === '{' && top.expectKey && /"$/.test(out) && !inString) {
+    out += ':null';
+  }
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    out += stack[i].type === '{' ? '}' : ']';
+  }
+  return out;
+}
+
+const REPAIR_STEPS = [
+  ['extract-object', extractObject],
+  ['normalize-quotes', normalizeQuotes],
+  ['single-quotes', singleToDoubleQuotes],
+  ['python-literals', pythonLiterals],
+  ['quote-keys', quoteKeys],
+  ['trailing-commas', removeTrailingCommas],
+  ['close-truncated', closeTruncated]
+];
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+// بيرجع { value, repairs: [أسماء التصليحات اللي اتعملت] } أو بيرمي error فيه رسالة الـ parse الأصلية
+function parseModelJson(rawText) {
+  let text = stripFences(String(rawText || ''));
+  const first = tryParse(text);
+  if (first.ok) return { value: first.value, repairs: [] };
+
+  const repairs = [];
+  for (const [name, step] of REPAIR_STEPS) {
+    const next = step(text);
+    if (next === text) continue;
+    text = next;
+    repairs.push(name);
+
+    const attempt = tryParse(text);
+    if (attempt.ok) return { value: attempt.value, repairs };
+  }
+
+  const error = new Error(`Invalid JSON from model: ${first.error.message}`);
+  error.repairs = repairs;
+  error.parseError = first.error.message;
+  throw error;
+}
+
+module.exports = {
+  objectSchema,
+  buildResponseFormat,
+  parseModelJson
+};
@@ -0,0 +1,258 @@
+const { findByIso3 } = require('./nationalities');
+const { normalizeForMatch } = require('./enumValidation');
+
+/* =========================
+   Passport MRZ (ICAO 9303, TD3)
+========================= */
+const TD3_LENGTH = 44;
+const CHECK_WEIGHTS = [7, 3, 1];
+
+// شكل _mrz في الـ structured output (سطرين أو null)
+const MRZ_SCHEMA = { type: ['array', 'null'], items: { type: 'string' } };
+
+function charValue(ch) {
+  if (ch === '<') return 0;
+  if (ch >= '0' && ch <= '9') return ch.charCodeAt(0) - 48;
+  if (ch >= 'A' && ch <= 'Z') return ch.charCodeAt(0) - 55;
+  return NaN;
+}
+
+function computeCheckDigit(value) {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const v = charValue(value[i]);
+    if (Number.isNaN(v)) return null;
+    sum += v * CHECK_WEIGHTS[i % 3];
+  }
+  return String(sum % 10);
+}
+
+function verify(value, checkChar) {
+  // '<' في خانة الـ check digit مسموح بس لو الحقل نفسه فاضي (personal number)
+  if (checkChar === '<') return /^<*$/.test(value);
+  return computeCheckDigit(value) === checkChar;
+}
+
+// أخطاء OCR الشائعة في الخانات الرقمية
+function toDigits(value) {
+  return value
+    .replace(/[OQD]/g, '0')
+    .replace(/[IL]/g, '1')
+    .replace(/Z/g, '2')
+    .replace(/S/g, '5')
+    .replace(/B/g, '8');
+}
+
+function cleanMrzLine(line) {
+  return String(line || '')
+    .toUpperCase()
+    .replace(/[«‹]/g, '<')
+    .replace(/\s+/g, '')
+    .replace(/[^A-Z0-9<]/g, '');
+}
+
+function fitLength(line) {
+  if (line.length > TD3_LENGTH) return line.slice(0, TD3_LENGTH);
+  return line.padEnd(TD3_LENGTH, '<');
+}
+
+// بيدور على سطرين TD3 في أي نص (رد الموديل أو OCR)
+function findTd3Lines(input) {
+  const rawLines = Array.isArray(input) ? input : String(input || '').split(/\r?\n/);
+  const lines = rawLines.map(cleanMrzLine).filter(Boolean);
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const first = lines[i];
+    const second = lines[i + 1];
+    if (
+      /^P[A-Z<]/.test(first) &&
+      first.includes('<<') &&
+      Math.abs(first.length - TD3_LENGTH) <= 2 &&
+      Math.abs(second.length - TD3_LENGTH) <= 2
+    ) {
+      return [fitLength(first), fitLength(second)];
+    }
+  }
+
+  return null;
+}
+
+function mrzDateToIso(yymmdd, { future }) {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
+  const yy = Number(yymmdd.slice(0, 2));
+  const mm = yymmdd.slice(2, 4);
+  const dd = yymmdd.slice(4, 6);
+  const currentYY = new Date().getUTCFullYear() % 100;
+
+  // تاريخ الانتهاء دايمًا 20xx، تاريخ الميلاد مش ممكن يكون في المستقبل
+  const century = future ? 2000 : yy > currentYY ? 1900 : 2000;
+  const iso = `${century + yy}-${mm}-${dd}`;
+
+  const date = new Date(`${iso}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso ? null : iso;
+}
+
+function splitNames(nameField) {
+  const [surname = '', given = ''] = nameField.split('<<');
+  const clean = (part) => part.replace(/<+/g, ' ').trim();
+  return { surname: clean(surname), givenNames: clean(given) };
+}
+
+function parseTd3(line1, line2) {
+  const l1 = fitLength(cleanMrzLine(line1));
+  const l2Raw = fitLength(cleanMrzLine(line2));
+
+  // الخانات الرقمية في السطر التاني بنصلحها قبل الـ checksum
+  const l2 =
+    l2Raw.slice(0, 9) +
+    toDigits(l2Raw[9]) +
+    l2Raw.slice(10, 13) +
+    toDigits(l2Raw.slice(13, 20)) +
+    l2Raw[20] +
+    toDigits(l2Raw.slice(21, 28)) +
+    l2Raw.slice(28, 42) +
+    toDigits(l2Raw.slice(42, 44));
+
+  const documentNumberRaw = l2.slice(0, 9);
+  const dobRaw = l2.slice(13, 19);
+  const expiryRaw = l2.slice(21, 27);
+  const personalRaw = l2.slice(28, 42);
+  const compositeInput = l2.slice(0, 10) + l2.slice(13, 20) + l2.slice(21, 43);
+
+  const checks = {
+    documentNumber: verify(documentNumberRaw, l2[9]) ? 'valid' : 'invalid',
+    dateOfBirth: verify(dobRaw, l2[19]) ? 'valid' : 'invalid',
+    expiryDate: verify(expiryRaw, l2[27]) ? 'valid' : 'invalid',
+    personalNumber: verify(personalRaw, l2[42]) ? 'valid' : 'invalid',
+    composite: verify(compositeInput, l2[43]) ? 'valid' : 'invalid'
+  };
+
+  const { surname, givenNames } = splitNames(l1.slice(5));
+  const sex = l2[20] === '<' ? null : l2[20];
+
+  return {
+    format: 'TD3',
+    lines: [l1, l2],
+    valid: Object.values(checks).every((status) => status === 'valid'),
+    fields: {
+      documentType: l1.slice(0, 2).replace(/<+/g, ''),
+      issuingState: l1.slice(2, 5).replace(/<+/g, ''),
+      surname,
+      givenNames,
+      documentNumber: documentNumberRaw.replace(/<+/g, ''),
+      nationality: l2.slice(10, 13).replace(/<+/g, ''),
+      dateOfBirth: mrzDateToIso(dobRaw, { future: false }),
+      sex,
+      expiryDate: mrzDateToIso(expiryRaw, { future: true }),
+      personalNumber: personalRaw.replace(/<+/g, '') || null
+    },
+    checks
+  };
+}
+
+function parseMrzFromText(input) {
+  const lines = findTd3Lines(input);
+  return lines ? parseTd3(lines[0], lines[1]) : null;
+}
+
+/* =========================
+   MRZ vs extracted fields
+========================= */
+// الحقول اللي ليها check digit بتكسب على قراءة الموديل لو الـ checksum سليم،
+// ولو الـ checksum بايظ بنكتفي بـ warning عند الاختلاف
+function crossCheckWithMrz(record, mrz) {
+  const values = { ...record };
+  const warnings = [];
+  const applied = [];
+
+  if (!mrz) return { values, warnings, applied };
+
+  const { fields, checks } = mrz;
+  const nationality = findByIso3(fields.nationality);
+
+  const candidates = [
+    { field: 'Passportnumber', value: fields.documentNumber, check: checks.documentNumber },
+    { field: 'dateofbirth', value: fields.dateOfBirth, check: checks.dateOfBirth },
+    { field: 'PassportEnd', value: fields.expiryDate, check: checks.expiryDate }
+  ];
+
+  for (const { field, value, check } of candidates) {
+    if (!(field in values) || !value) continue;
+    const current = values[field];
+    const same = normalizeForMatch(current) === normalizeForMatch(value);
+
+    if (check === 'valid') {
+      if (!same) {
+        if (current) {
+          warnings.push({
+            field,
+            code: 'mrz_override',
+            message: `${field} اتصحح من الـ MRZ (checksum سليم).`,
+            from: current,
+            to: value
+          });
+        }
+        values[field] = value;
+        applied.push(field);
+      }
+    } else if (current && !same) {
+      warnings.push({
+        field,
+        code: 'mrz_checksum_failed',
+        message: `${field} مختلف عن الـ MRZ والـ checksum غير سليم، تم الإبقاء على قيمة الموديل.`,
+        from: current,
+        mrz: value
+      });
+    }
+  }
+
+  // الجنسية مالهاش check digit والـ composite مش بيغطيها (خانات 10-12 برّه الـ composite)،
+  // فمش بنكسب على الموديل: بنملا بس لو فاضية، وغير كده warning عند الاختلاف
+  if ('Nationality' in values && nationality) {
+    if (!values.Nationality) {
+      values.Nationality = nationality.label;
+      applied.push('Nationality');
+    } else if (normalizeForMatch(values.Nationality) !== normalizeForMatch(nationality.label)) {
+      warnings.push({
+        field: 'Nationality',
+        code: 'mrz_mismatch',
+        message: 'الجنسية المستخرجة مختلفة عن الـ MRZ، تم الإبقاء على قيمة الموديل.',
+        from: values.Nationality,
+        mrz: nationality.label
+      });
+    }
+  }
+
+  if ('Name' in values) {
+    const mrzName = [fields.givenNames, fields.surname].filter(Boolean).join(' ');
+    if (mrzName) {
+      if (!values.Name) {
+        values.Name = mrzName;
+        applied.push('Name');
+      } else {
+        const modelTokens = new Set(normalizeForMatch(values.Name).split(' '));
+        const mrzTokens = normalizeForMatch(mrzName).split(' ');
+        if (!mrzTokens.every((token) => modelTokens.has(token))) {
+          warnings.push({
+            field: 'Name',
+            code: 'mrz_name_mismatch',
+            message: 'الاسم المستخرج لا يطابق الاسم في الـ MRZ.',
+            from: values.Name,
+            mrz: mrzName
+          });
+        }
+      }
+    }
+  }
+
+  return { values, warnings, applied };
+}
+
+module.exports = {
+  MRZ_SCHEMA,
+  computeCheckDigit,
+  findTd3Lines,
+  parseTd3,
+  parseMrzFromText,
+  crossCheckWithMrz
+};
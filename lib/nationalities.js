@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeForMatch, similarity } = require('./enumValidation');
+
+/* =========================
+   Nationality master list
+========================= */
+// الملف ممكن يتغير بـ NATIONALITIES_FILE، والـ label لازم يطابق اللي في الداتابيز حرفيًا
+const NATIONALITIES_FILE =
+  process.env.NATIONALITIES_FILE ||
+  path.resolve(__dirname, '..', 'data', 'nationalities.json');
+
+function loadNationalities(file = NATIONALITIES_FILE) {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`Nationalities file must contain an array: ${file}`);
+  }
+
+  return entries.map((entry) => {
+    if (!entry.label) {
+      throw new Error(`Nationality entry without label in ${file}`);
+    }
+
+    const names = [
+      entry.label,
+      entry.en,
+      entry.ar,
+      entry.iso3,
+      ...(entry.demonyms || []),
+      ...(entry.aliases || [])
+    ].filter(Boolean);
+
+    return {
+      ...entry,
+      matchKeys: [...new Set(names.map(normalizeForMatch))]
+    };
+  });
+}
+
+const nationalities = loadNationalities();
+
+function listNationalities() {
+  return nationalities.map(({ matchKeys, ...entry }) => entry);
+}
+
+function findByIso3(iso3) {
+  const code = String(iso3 || '').trim().toUpperCase();
+  return nationalities.find((entry) => entry.iso3 === code) || null;
+}
+
+// بيرجع { value, status, reason } بنفس شكل coerceEnumValue
+function resolveNationality(rawValue, { minSimilarity = 0.8 } = {}) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+    return { value: null, status: 'empty' };
+  }
+
+  const text = String(rawValue).trim();
+  const exact = nationalities.find((entry) => entry.label === text);
+  if (exact) {
+    return { value: exact.label, status: 'ok' };
+  }
+
+  // "UGA" لازم يتطابق كـ ISO code بالظبط
+  if (/^[A-Z]{3}$/.test(text)) {
+    const byCode = findByIso3(text);
+    if (byCode) {
+      return { value: byCode.label, status: 'coerced', reason: 'iso3' };
+    }
+  }
+
+  const normalized = normalizeForMatch(text);
+  const direct = nationalities.find((entry) => entry.matchKeys.includes(normalized));
+  if (direct) {
+    return { value: direct.label, status: 'coerced', reason: 'normalized-match' };
+  }
+
+  let best = null;
+  for (const entry of nationalities) {
+    for (const key of entry.matchKeys) {
+      const score = similarity(normalized, key);
+      if (score >= minSimilarity && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    }
+  }
+
+  if (best) {
+    return {
+      value: best.entry.label,
+      status: 'coerced',
+      reason: `fuzzy:${best.score.toFixed(2)}`
+    };
+  }
+
+  return { value: null, status: 'rejected', reason: 'no-match' };
+}
+
+// بيعدّل Nationality في الـ record ويزود الـ validation report لو اتغير أو اترفض
+function applyNationality(record, report = {}) {
+  if (!('Nationality' in record)) return { values: record, report };
+
+  const original = record.Nationality;
+  const result = resolveNationality(original);
+  const values = { ...record, Nationality: result.value };
+  const nextReport = { ...report };
+
+  if (result.status === 'coerced' || result.status === 'rejected') {
+    nextReport.Nationality = {
+      status: result.status,
+      from: original,
+      to: result.value,
+      reason: result.reason
+    };
+  }
+
+  return { values, report: nextReport };
+}
+
+module.exports = {
+  NATIONALITIES_FILE,
+  listNationalities,
+  findByIso3,
+  resolveNationality,
+  applyNationality
+};
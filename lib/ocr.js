@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Local OCR (Arabic + English)
+========================= */
+// OCR_ENGINE=tesseract.js (default, pure JS) أو cli (يتطلب تثبيت tesseract على الجهاز)
+const OCR_ENGINE = String(process.env.OCR_ENGINE || 'tesseract.js').toLowerCase();
+
+const OCR_LANGS = (process.env.OCR_LANGS || 'ara+eng')
+  .split('+')
+  .map((lang) => lang.trim())
+  .filter(Boolean);
+
+// ara.traineddata / eng.traineddata موجودين في جذر المشروع (انظر .gitignore)
+const OCR_LANG_PATH =
+  process.env.OCR_LANG_PATH || path.resolve(__dirname, '..');
+
+let workerPromise = null;
+
+function assertTrainedDataPresent() {
+  if (/^https?:\/\//i.test(OCR_LANG_PATH)) return;
+
+  // tesseract.js مش بيرفض الـ promise لو ملف اللغة ناقص، فبنتأكد قبلها
+  const missing = OCR_LANGS.filter(
+    (lang) => !fs.existsSync(path.join(OCR_LANG_PATH, `${lang}.traineddata`))
+  );
+  if (missing.length) {
+    throw new Error(
+      `OCR traineddata not found in ${OCR_LANG_PATH}: ${missing.map((l) => `${l}.traineddata`).join(', ')}`
+    );
+  }
+}
+
+function getTesseractWorker() {
+  if (!workerPromise) {
+    assertTrainedDataPresent();
+    const { createWorker } = require('tesseract.js');
+
+    workerPromise = createWorker(OCR_LANGS, 1, {
+      langPath: OCR_LANG_PATH,
+      cachePath: OCR_LANG_PATH,
+      gzip: false,
+      // من غير errorHandler الـ worker بيرمي exception خارج الـ promise ويوقع السيرفر
+      errorHandler: (error) => {
+        console.error('[ERROR] tesseract worker:', error);
+      }
+    }).catch((error) => {
+      // نسمح بإعادة المحاولة في الطلب التالي
+      workerPromise = null;
+      throw error;
+    });
+  }
+
+  return workerPromise;
+}
+
+async function recognizeWithTesseractJs(imageBuffer) {
+  const worker = await getTesseractWorker();
+  const result = await worker.recognize(imageBuffer);
+  return String(result?.data?.text || '');
+}
+
+async function recognizeWithCli(imageBuffer) {
+  const tesseract = require('node-tesseract-ocr');
+
+  return tesseract.recognize(imageBuffer, {
+    lang: OCR_LANGS.join('+'),
+    oem: 1,
+    psm: 3
+  });
+}
+
+async function recognizeImage(imageBuffer) {
+  const text =
+    OCR_ENGINE === 'cli'
+      ? await recognizeWithCli(imageBuffer)
+      : await recognizeWithTesseractJs(imageBuffer);
+
+  return String(text || '').trim();
+}
+
+// الصفحات بالتتابع عشان الـ worker واحد ومفيش داعي نحمّل الجهاز
+async function recognizeImages(imageBuffers) {
+  const texts = [];
+  for (const buffer of imageBuffers) {
+    texts.push(await recognizeImage(buffer));
+  }
+  return texts;
+}
+
+module.exports = {
+  OCR_ENGINE,
+  recognizeImage,
+  recognizeImages
+};
@@ -0,0 +1,39 @@
+const pdfParse = require('pdf-parse');
+const { fromBuffer } = require('pdf2pic');
+
+/* =========================
+   PDF -> PNG pages
+========================= */
+// pdf2pic يحتاج graphicsmagick + ghostscript على الجهاز (موجودين في الـ Dockerfile)
+async function countPdfPages(pdfBuffer) {
+  const parsed = await pdfParse(pdfBuffer, { max: 1 });
+  return Number(parsed?.numpages) || 0;
+}
+
+async function rasterizePdfPages(pdfBuffer, { maxPages = 3, density = 150 } = {}) {
+  const totalPages = await countPdfPages(pdfBuffer);
+  const pageCount = Math.min(totalPages || 1, Math.max(1, maxPages));
+  const pages = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+  const convert = fromBuffer(pdfBuffer, {
+    density,
+    format: 'png',
+    // pdf2pic بيعمل resize دايمًا، فبنحسب العرض من الـ density على مقاس A4 (8.27 inch)
+    width: Math.round(8.27 * density),
+    preserveAspectRatio: true
+  });
+
+  const rendered = await convert.bulk(pages, { responseType: 'buffer' });
+
+  return rendered
+    .filter((item) => item?.buffer && item.buffer.length > 0)
+    .map((item) => ({
+      page: item.page,
+      buffer: item.buffer
+    }));
+}
+
+module.exports = {
+  countPdfPages,
+  rasterizePdfPages
+};
@@ -0,0 +1,154 @@
+/* =========================
+   Shared provider helpers
+========================= */
+// بيوحّد شكل الأخطاء بين axios (OpenRouter / mock) و openai SDK و Google SDKs
+function extractProviderError(err) {
+  const payload = err?.response?.data || err?.error || {};
+  const inner = payload?.error || payload || {};
+
+  return {
+    status: err?.response?.status || err?.status || undefined,
+    message: inner?.message || err?.message,
+    code: inner?.code || err?.code,
+    metadata: inner?.metadata || null,
+    raw: err?.response?.data || err?.errorDetails || err?.error || null
+  };
+}
+
+function createProviderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// نص المستند جوه الـ text prompt (Text: "...") فيه PII: بنسيب طوله بس
+function maskDocumentText(text) {
+  return text.replace(/Text: "([\s\S]*)"\s*$/, (match, inner) => `Text: [DOCUMENT_TEXT len=${inner.length}]`);
+}
+
+function logSafePayload(payload, label = 'OpenRouter') {
+  const safePayload = JSON.parse(JSON.stringify(payload));
+
+  for (const message of safePayload?.messages || []) {
+    if (typeof message?.content === 'string') {
+      message.content = maskDocumentText(message.content);
+    }
+  }
+
+  const content = safePayload?.messages?.[0]?.content;
+  if (Array.isArray(content)) {
+    for (const item of content) {
+      if (item?.type === 'file' && item?.file?.file_data) {
+        item.file.file_data =
+          `[DATA_URL_PRESENT len=${item.file.file_data.length}] prefix=${item.file.file_data.slice(0, 30)}`;
+      }
+      if (item?.type === 'file' && item?.file?.fileData) {
+        item.file.fileData =
+          `[DATA_URL_PRESENT len=${item.file.fileData.length}] prefix=${item.file.fileData.slice(0, 30)}`;
+      }
+      if (item?.type === 'image_url' && item?.image_url?.url) {
+        item.image_url.url = '[BASE64_IMAGE_OMITTED]';
+      }
+    }
+  }
+
+  console.log(`[DEBUG] ${label} payload (safe):`, safePayload);
+}
+
+function buildPdfMessages(prompt, filename, pdfDataUrl, dataKeyStyle = 'snake') {
+  const fileObject =
+    dataKeyStyle === 'camel'
+      ? {
+          filename,
+          fileData: pdfDataUrl
+        }
+      : {
+          filename,
+          file_data: pdfDataUrl
+        };
+
+  return [
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: prompt },
+        {
+          type: 'file',
+          file: fileObject
+        }
+      ]
+    }
+  ];
+}
+
+function parseDataUrl(dataUrl) {
+  const match = String(dataUrl || '').match(/^data:([^;,]+);base64,(.*)$/s);
+  if (!match) return null;
+  return { mimeType: match[1], data: match[2] };
+}
+
+// الـ providers اللي مش OpenAI-compatible بتحتاج الرسالة مفككة لنص + ملفات
+function splitMessageParts(messages) {
+  const texts = [];
+  const files = [];
+
+  for (const message of messages || []) {
+    if (typeof message.content === 'string') {
+      texts.push(message.content);
+      continue;
+    }
+
+    for (const part of message.content || []) {
+      if (part?.type === 'text') {
+        texts.push(part.text || '');
+      } else if (part?.type === 'image_url') {
+        const parsed = parseDataUrl(part.image_url?.url);
+        if (parsed) files.push(parsed);
+      } else if (part?.type === 'file') {
+        const parsed = parseDataUrl(part.file?.file_data || part.file?.fileData);
+        if (parsed) files.push({ ...parsed, filename: part.file?.filename });
+      }
+    }
+  }
+
+  return { text: texts.join('\n\n'), files };
+}
+
+// شكل الرد الموحد اللي extractAssistantText بيقراه (OpenAI chat completion)
+function toChatCompletion({ content, model, usage }) {
+  return {
+    model,
+    choices: [
+      {
+        message: {
+          role: 'assistant',
+          content
+        }
+      }
+    ],
+    usage: usage || undefined
+  };
+}
+
+// patterns زي "gemini-" أو "gpt-4o" بتتقارن مع اسم الموديل من غير الـ prefix (google/...)
+function supportsStructuredOutput(model, patterns = []) {
+  const name = String(model || '').toLowerCase().split('/').pop();
+  return patterns.some((pattern) => pattern && name.startsWith(pattern.toLowerCase()));
+}
+
+function stripModelPrefix(model, prefix) {
+  const value = String(model || '');
+  return value.startsWith(`${prefix}/`) ? value.slice(prefix.length + 1) : value;
+}
+
+module.exports = {
+  extractProviderError,
+  createProviderError,
+  logSafePayload,
+  buildPdfMessages,
+  parseDataUrl,
+  splitMessageParts,
+  toChatCompletion,
+  supportsStructuredOutput,
+  stripModelPrefix
+};
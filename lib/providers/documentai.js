@@ -0,0 +1,119 @@
+const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
+const {
+  createProviderError,
+  buildPdfMessages,
+  splitMessageParts
+} = require('./common');
+
+/* =========================
+   Google Document AI provider
+========================= */
+// Document AI بيعمل OCR بس، فبنحوّل الملف لنص وبعدين نبعته لـ text provider تاني يرتّبه JSON
+function createDocumentAIProvider({
+  processorName,
+  location,
+  getTextProvider
+}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      // الـ credentials من GOOGLE_APPLICATION_CREDENTIALS (انظر الـ Dockerfile)
+      client = new DocumentProcessorServiceClient({
+        apiEndpoint: `${location}-documentai.googleapis.com`
+      });
+    }
+    return client;
+  }
+
+  async function ocrFile(file) {
+    const [result] = await getClient().processDocument({
+      name: processorName,
+      rawDocument: {
+        content: file.data,
+        mimeType: file.mimeType
+      }
+    });
+
+    return String(result?.document?.text || '').trim();
+  }
+
+  async function chat({ messages, temperature = 0, max_tokens = 1200, responseFormat }) {
+    if (!processorName) {
+      throw createProviderError('DOCUMENTAI_PROCESSOR_NAME غير موجود في ملف .env', 500);
+    }
+
+    const { text, files } = splitMessageParts(messages);
+    const textProvider = getTextProvider();
+
+    if (!files.length) {
+      return textProvider.chat({
+        model: textProvider.defaultTextModel,
+        messages,
+        temperature,
+        max_tokens,
+        useFallbackModels: true,
+        responseFormat
+      });
+    }
+
+    console.log(`[INFO] Document AI OCR: files=${files.length}, text provider=${textProvider.name}`);
+
+    const ocrTexts = [];
+    for (const file of files) {
+      ocrTexts.push(await ocrFile(file));
+    }
+
+    const documentText = ocrTexts.join('\n').slice(0, 20000);
+    if (!documentText) {
+      throw createProviderError('Document AI لم يستخرج أي نص من الملف.', 422);
+    }
+
+    return textProvider.chat({
+      model: textProvider.defaultTextModel,
+      messages: [
+        {
+          role: 'user',
+          content: `${text}\n\nDocument text (OCR): "${documentText}"`
+        }
+      ],
+      temperature,
+      max_tokens,
+      useFallbackModels: true,
+      responseFormat
+    });
+  }
+
+  async function chatWithPdf({ prompt, filename, pdfDataUrl, temperature, max_tokens, responseFormat }) {
+    return chat({
+      messages: buildPdfMessages(prompt, filename, pdfDataUrl),
+      temperature,
+      max_tokens,
+      responseFormat
+    });
+  }
+
+  // /ready: الـ processor مضبوط + الـ provider اللي بيحول النص لـ JSON شغال
+  async function checkReady(options) {
+    if (!processorName) {
+      throw createProviderError('DOCUMENTAI_PROCESSOR_NAME غير موجود في ملف .env', 500);
+    }
+
+    const textProvider = getTextProvider();
+    const text = await textProvider.checkReady(options);
+    return { processor: processorName, textProvider: { name: textProvider.name, ...text } };
+  }
+
+  return {
+    name: 'documentai',
+    defaultTextModel: null,
+    defaultVisionModel: null,
+    chat,
+    chatWithPdf,
+    checkReady
+  };
+}
+
+module.exports = {
+  createDocumentAIProvider
+};
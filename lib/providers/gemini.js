@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  createProviderError,
+  buildPdfMessages,
+  splitMessageParts,
+  toChatCompletion,
+  stripModelPrefix,
+  supportsStructuredOutput
+} = require('./common');
+
+/* =========================
+   Direct Gemini provider (Google AI Studio key)
+========================= */
+function createGeminiProvider({
+  apiKey,
+  baseUrl,
+  defaultTextModel,
+  defaultVisionModel,
+  structuredOutputModels
+}) {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  async function chat({ model, messages, temperature = 0, max_tokens = 1200, responseFormat }) {
+    if (!client) {
+      throw createProviderError('GEMINI_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    const modelName = stripModelPrefix(model || defaultVisionModel, 'google');
+    const { text, files } = splitMessageParts(messages);
+
+    const generativeModel = client.getGenerativeModel(
+      {
+        model: modelName,
+        generationConfig: {
+          temperature,
+          maxOutputTokens: max_tokens,
+          // الـ schema بصيغة OpenAI مش متوافقة مع responseSchema، فبنكتفي بـ JSON mode
+          ...(responseFormat && supportsStructuredOutput(modelName, structuredOutputModels)
+            ? { responseMimeType: 'application/json' }
+            : {})
+        }
+      },
+      {
+        baseUrl: baseUrl || undefined,
+        timeout: 180000
+      }
+    );
+
+    console.log(`[INFO] Gemini direct: model=${modelName}, files=${files.length}`);
+
+    const result = await generativeModel.generateContent({
+      contents: [
+        {
+          role: 'user',
+          parts: [
+            { text },
+            ...files.map((file) => ({
+              inlineData: { mimeType: file.mimeType, data: file.data }
+            }))
+          ]
+        }
+      ]
+    });
+
+    const usage = result.response?.usageMetadata;
+
+    return toChatCompletion({
+      content: result.response.text(),
+      model: `google/${modelName}`,
+      usage: usage
+        ? {
+            prompt_tokens: usage.promptTokenCount,
+            completion_tokens: usage.candidatesTokenCount,
+            total_tokens: usage.totalTokenCount
+          }
+        : undefined
+    });
+  }
+
+  // Gemini بيقبل الـ PDF inline مباشرة، مفيش داعي لـ file-parser plugin
+  async function chatWithPdf({
+    primaryModel,
+    prompt,
+    filename,
+    pdfDataUrl,
+    temperature,
+    max_tokens,
+    responseFormat
+  }) {
+    return chat({
+      model: primaryModel,
+      messages: buildPdfMessages(prompt, filename, pdfDataUrl),
+      temperature,
+      max_tokens,
+      responseFormat
+    });
+  }
+
+  // /ready: list models بالمفتاح (403/400 لو المفتاح غلط)
+  async function checkReady({ timeoutMs = 5000 } = {}) {
+    if (!client) {
+      throw createProviderError('GEMINI_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    const target = `${String(baseUrl || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '')}/v1beta/models`;
+    await axios.get(target, {
+      headers: { 'x-goog-api-key': apiKey },
+      params: { pageSize: 1 },
+      timeout: timeoutMs
+    });
+    return { target };
+  }
+
+  return {
+    name: 'gemini',
+    defaultTextModel,
+    defaultVisionModel,
+    chat,
+    chatWithPdf,
+    checkReady
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,82 @@
+const path = require('path');
+const { createProviderError } = require('./common');
+const { createOpenRouterProvider } = require('./openrouter');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createDocumentAIProvider } = require('./documentai');
+const { createMockProvider } = require('./mock');
+
+/* =========================
+   Provider registry
+========================= */
+// كل provider بيعرض نفس الواجهة:
+//   chat({ model, messages, plugins, temperature, max_tokens, useFallbackModels, task, responseFormat })
+//   chatWithPdf({ primaryModel, prompt, filename, pdfDataUrl, plugins, temperature, max_tokens, task, responseFormat })
+// والاتنين بيرجعوا رد بشكل OpenAI chat completion
+//   checkReady({ timeoutMs }): لـ /ready، بيرمي error لو الإعدادات ناقصة أو الـ provider مش بيرد
+function createProviderRegistry({
+  defaultProvider,
+  openrouter,
+  structuredOutputModels = [],
+  env = process.env
+}) {
+  const instances = {};
+
+  const factories = {
+    openrouter: () => createOpenRouterProvider({ ...openrouter, structuredOutputModels }),
+    gemini: () =>
+      createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        baseUrl: env.GEMINI_BASE_URL,
+        defaultTextModel: env.GEMINI_TEXT_MODEL || 'gemini-2.5-flash',
+        defaultVisionModel: env.GEMINI_VISION_MODEL || 'gemini-2.5-flash',
+        structuredOutputModels
+      }),
+    openai: () =>
+      createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL,
+        defaultTextModel: env.OPENAI_TEXT_MODEL || 'gpt-4o-mini',
+        defaultVisionModel: env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+        structuredOutputModels
+      }),
+    documentai: () =>
+      createDocumentAIProvider({
+        processorName: env.DOCUMENTAI_PROCESSOR_NAME,
+        location: env.DOCUMENTAI_LOCATION || 'us',
+        getTextProvider: () => getProvider(env.DOCUMENTAI_TEXT_PROVIDER || 'openrouter')
+      }),
+    mock: () =>
+      createMockProvider({
+        baseUrl: env.MOCK_PROVIDER_BASE_URL,
+        responsesDir:
+          env.MOCK_RESPONSES_DIR || path.resolve(__dirname, '..', '..', 'mock', 'responses')
+      })
+  };
+
+  function getProvider(name) {
+    const key = String(name || defaultProvider).trim().toLowerCase();
+
+    if (!factories[key]) {
+      throw createProviderError(
+        `Provider غير معروف: ${key}. المتاح: ${Object.keys(factories).join(', ')}`
+      );
+    }
+
+    if (!instances[key]) {
+      instances[key] = factories[key]();
+    }
+
+    return instances[key];
+  }
+
+  return {
+    defaultProvider,
+    providerNames: Object.keys(factories),
+    getProvider
+  };
+}
+
+module.exports = {
+  createProviderRegistry
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createProviderError, buildPdfMessages, toChatCompletion } = require('./common');
+
+/* =========================
+   Local mock provider (offline / CI)
+========================= */
+// MOCK_PROVIDER_BASE_URL موجود: بنكلم أي endpoint متوافق مع OpenAI (مثلاً node mock/server.js)
+// مش موجود: بنرجع الردود الجاهزة من MOCK_RESPONSES_DIR جوه نفس الـ process
+function loadCannedResponse(responsesDir, task) {
+  for (const name of [task, 'default']) {
+    if (!name) continue;
+    const file = path.join(responsesDir, `${name}.json`);
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8');
+    }
+  }
+  return '{}';
+}
+
+function createMockProvider({ baseUrl, responsesDir }) {
+  async function chat({ model, messages, temperature = 0, max_tokens = 1200, task }) {
+    if (baseUrl) {
+      const response = await axios.post(
+        `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`,
+        { model, messages, temperature, max_tokens, task },
+        { timeout: 30000 }
+      );
+      return response.data;
+    }
+
+    console.log(`[INFO] mock provider: task=${task || 'default'}`);
+
+    return toChatCompletion({
+      content: loadCannedResponse(responsesDir, task),
+      model: model || 'mock',
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  }
+
+  async function chatWithPdf({ primaryModel, prompt, filename, pdfDataUrl, temperature, max_tokens, task }) {
+    return chat({
+      model: primaryModel,
+      messages: buildPdfMessages(prompt, filename, pdfDataUrl),
+      temperature,
+      max_tokens,
+      task
+    });
+  }
+
+  // /ready: الـ stand-in بيرد على /models، أو فولدر الردود الجاهزة موجود
+  async function checkReady({ timeoutMs = 5000 } = {}) {
+    if (baseUrl) {
+      const target = `${String(baseUrl).replace(/\/+$/, '')}/models`;
+      await axios.get(target, { timeout: timeoutMs });
+      return { target };
+    }
+
+    if (!fs.existsSync(responsesDir)) {
+      throw createProviderError(`MOCK_RESPONSES_DIR غير موجود: ${responsesDir}`, 500);
+    }
+    return { responsesDir };
+  }
+
+  return {
+    name: 'mock',
+    defaultTextModel: 'mock/text',
+    defaultVisionModel: 'mock/vision',
+    chat,
+    chatWithPdf,
+    checkReady
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  loadCannedResponse
+};
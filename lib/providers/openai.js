@@ -0,0 +1,89 @@
+const OpenAI = require('openai');
+const {
+  createProviderError,
+  buildPdfMessages,
+  logSafePayload,
+  stripModelPrefix,
+  supportsStructuredOutput
+} = require('./common');
+
+/* =========================
+   OpenAI provider (أو أي endpoint متوافق مع OpenAI)
+========================= */
+function createOpenAIProvider({
+  apiKey,
+  baseUrl,
+  defaultTextModel,
+  defaultVisionModel,
+  structuredOutputModels
+}) {
+  const client = apiKey
+    ? new OpenAI({
+        apiKey,
+        baseURL: baseUrl || undefined,
+        timeout: 180000
+      })
+    : null;
+
+  async function chat({ model, messages, temperature = 0, max_tokens = 1200, responseFormat }) {
+    if (!client) {
+      throw createProviderError('OPENAI_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    const payload = {
+      model: stripModelPrefix(model || defaultVisionModel, 'openai'),
+      messages,
+      temperature,
+      max_tokens
+    };
+
+    if (responseFormat && supportsStructuredOutput(payload.model, structuredOutputModels)) {
+      payload.response_format = responseFormat;
+    }
+
+    logSafePayload(payload, 'OpenAI');
+
+    return client.chat.completions.create(payload);
+  }
+
+  async function chatWithPdf({
+    primaryModel,
+    prompt,
+    filename,
+    pdfDataUrl,
+    temperature,
+    max_tokens,
+    responseFormat
+  }) {
+    return chat({
+      model: primaryModel,
+      messages: buildPdfMessages(prompt, filename, pdfDataUrl),
+      temperature,
+      max_tokens,
+      responseFormat
+    });
+  }
+
+  // /ready: GET /models على نفس الـ baseURL (OPENAI_BASE_URL)
+  async function checkReady({ timeoutMs = 5000 } = {}) {
+    if (!client) {
+      throw createProviderError('OPENAI_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    await client.models.list({ timeout: timeoutMs, maxRetries: 0 });
+    return { target: `${client.baseURL.replace(/\/+$/, '')}/models` };
+  }
+
+  return {
+    name: 'openai',
+    defaultTextModel,
+    defaultVisionModel,
+    chat,
+    chatWithPdf,
+    checkReady
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
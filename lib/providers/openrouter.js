@@ -0,0 +1,268 @@
+const axios = require('axios');
+const {
+  extractProviderError,
+  createProviderError,
+  logSafePayload,
+  buildPdfMessages,
+  supportsStructuredOutput
+} = require('./common');
+const { createCircuitBreaker } = require('../circuitBreaker');
+
+/* =========================
+   OpenRouter provider
+========================= */
+// نجرب الاتنين بسبب اختلافات التنفيذ (file_data / fileData)
+const KEY_STYLES = ['snake', 'camel'];
+
+// الأخطاء اللي ممكن تتحل بالـ keyStyle التاني على نفس الموديل
+function isKeyStyleError(error) {
+  const details = extractProviderError(error);
+  const message = String(details.message || '').toLowerCase();
+  return details.status === 400 || message.includes('file data is missing') || message.includes('failed to parse');
+}
+
+// 401/403 مفتاح غلط، 402 الرصيد خلص، 413 الملف أكبر من المسموح
+function isNonRetryableError(error) {
+  const details = extractProviderError(error);
+  const message = String(details.message || '').toLowerCase();
+  return (
+    [401, 402, 403, 413].includes(details.status) ||
+    message.includes('too large') ||
+    message.includes('exceeds the maximum')
+  );
+}
+
+function createOpenRouterProvider({
+  apiKey,
+  baseUrl,
+  defaultTextModel,
+  defaultVisionModel,
+  enableModelFallbacks,
+  buildFallbackModels,
+  getPdfModelCandidates,
+  structuredOutputModels,
+  circuitBreaker = createCircuitBreaker()
+}) {
+  // آخر keyStyle نجح مع كل موديل
+  const preferredKeyStyles = new Map();
+
+  const endpoint = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+
+  async function callOpenRouter({
+    model,
+    messages,
+    plugins,
+    temperature = 0,
+    max_tokens = 1200,
+    useFallbackModels = true,
+    responseFormat
+  }) {
+    if (!apiKey) {
+      throw createProviderError('OPENROUTER_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    const payload = {
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      stream: false
+    };
+
+    if (plugins?.length) {
+      payload.plugins = plugins;
+    }
+
+    if (responseFormat && supportsStructuredOutput(model, structuredOutputModels)) {
+      payload.response_format = responseFormat;
+    }
+
+    if (enableModelFallbacks && useFallbackModels) {
+      payload.models = buildFallbackModels(model);
+    }
+
+    logSafePayload(payload);
+
+    const response = await axios.post(endpoint, payload, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': process.env.APP_URL || 'http://localhost:4444',
+        'X-Title': process.env.APP_NAME || 'Document Extractor'
+      },
+      timeout: 180000
+    });
+
+    return response.data;
+  }
+
+  // الـ PDF: لكل موديل بنجرب الـ keyStyle اللي اشتغل معاه آخر مرة الأول (file_data / fileData).
+  // فيه مستويين circuit: واحد للموديل نفسه (5xx / 429 / timeout، ولما يتفتح كل الـ keyStyles بتتخطى)
+  // وواحد لكل موديل + keyStyle (أخطاء الـ keyStyle). المفتوح بيتخطى، والـ half-open بيتأجل لآخر القايمة.
+  // الـ trail (كل قرار اتاخد) بيرجع في data.pdfRouting وبيتلزق في الـ error لو كله فشل
+  async function callOpenRouterForPdf({
+    primaryModel,
+    prompt,
+    filename,
+    pdfDataUrl,
+    plugins,
+    temperature = 0,
+    max_tokens = 1200,
+    responseFormat,
+    useFallbackModels = true
+  }) {
+    if (!apiKey) {
+      throw createProviderError('OPENROUTER_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    // useFallbackModels=false: الموديل المطلوب بس (أول واحد في القايمة)
+    const models = getPdfModelCandidates(primaryModel).slice(0, useFallbackModels ? undefined : 1);
+    const trail = [];
+    const failedModels = new Set();
+    let lastError = null;
+
+    const candidates = models.flatMap((model) =>
+      orderKeyStyles(model).map((keyStyle) => ({
+        model,
+        keyStyle,
+        modelCircuit: modelCircuitKey(model),
+        circuit: `${model}|${keyStyle}`
+      }))
+    );
+    const ordered = [
+      ...candidates.filter((candidate) => combinedState(candidate) === 'closed'),
+      ...candidates.filter((candidate) => combinedState(candidate) === 'half-open')
+    ];
+
+    for (const candidate of candidates) {
+      if (combinedState(candidate) === 'open') {
+        const reason =
+          circuitBreaker.stateOf(candidate.modelCircuit) === 'open' ? 'model_circuit_open' : 'circuit_open';
+        trail.push({ model: candidate.model, keyStyle: candidate.keyStyle, decision: 'skipped', reason });
+      }
+    }
+
+    for (const candidate of ordered) {
+      const { model, keyStyle, modelCircuit, circuit } = candidate;
+      if (failedModels.has(model)) {
+        trail.push({ model, keyStyle, decision: 'skipped', reason: 'model_failed' });
+        continue;
+      }
+
+      // الـ half-open بيسمح بـ probe واحد: لو طلب تاني حاجزه نعدي
+      const state = combinedState(candidate);
+      if (!circuitBreaker.canAttempt(modelCircuit)) {
+        trail.push({ model, keyStyle, decision: 'skipped', reason: 'probe_in_flight' });
+        continue;
+      }
+      if (!circuitBreaker.canAttempt(circuit)) {
+        circuitBreaker.release(modelCircuit);
+        trail.push({ model, keyStyle, decision: 'skipped', reason: 'probe_in_flight' });
+        continue;
+      }
+
+      try {
+        console.log(`[INFO] محاولة PDF بالموديل: ${model}, keyStyle: ${keyStyle}, circuit: ${state}`);
+
+        const data = await callOpenRouter({
+          model,
+          messages: buildPdfMessages(prompt, filename, pdfDataUrl, keyStyle),
+          plugins,
+          temperature,
+          max_tokens,
+          useFallbackModels: false,
+          responseFormat
+        });
+
+        circuitBreaker.recordSuccess(modelCircuit);
+        circuitBreaker.recordSuccess(circuit);
+        preferredKeyStyles.set(model, keyStyle);
+        trail.push({ model, keyStyle, decision: 'attempted', circuit: state, outcome: 'success' });
+        return { ...data, pdfRouting: trail };
+      } catch (error) {
+        const details = extractProviderError(error);
+        lastError = error;
+        console.error(`[WARN] فشل PDF model=${model} keyStyle=${keyStyle}: ${details.message}`);
+
+        const attempt = {
+          model,
+          keyStyle,
+          decision: 'attempted',
+          circuit: state,
+          outcome: 'error',
+          status: details.status || null,
+          error: details.message
+        };
+
+        // auth / رصيد / ملف كبير: نفس النتيجة مع أي موديل، فبنوقف من غير ما نحسبها على الموديل
+        if (isNonRetryableError(error)) {
+          circuitBreaker.release(modelCircuit);
+          circuitBreaker.release(circuit);
+          trail.push({ ...attempt, stop: 'non_retryable' });
+          error.pdfRouting = trail;
+          throw error;
+        }
+
+        if (isKeyStyleError(error)) {
+          // الموديل رد، المشكلة في شكل الـ file part: تتحسب على الـ keyStyle بس
+          circuitBreaker.release(modelCircuit);
+          trail.push({ ...attempt, circuitScope: 'keyStyle', circuitAfter: circuitBreaker.recordFailure(circuit) });
+        } else {
+          // 5xx / 429 / timeout: الـ keyStyle التاني مش هيفرق، تتحسب على الموديل ونروح للي بعده
+          circuitBreaker.release(circuit);
+          trail.push({ ...attempt, circuitScope: 'model', circuitAfter: circuitBreaker.recordFailure(modelCircuit) });
+          failedModels.add(model);
+        }
+      }
+    }
+
+    const error = lastError || createProviderError('كل الموديلات المتاحة للـ PDF متوقفة مؤقتًا (circuit open).', 503);
+    error.pdfRouting = trail;
+    throw error;
+  }
+
+  function modelCircuitKey(model) {
+    return `${model}|*`;
+  }
+
+  // أسوأ حالة بين circuit الموديل و circuit الـ keyStyle
+  function combinedState({ modelCircuit, circuit }) {
+    const states = [circuitBreaker.stateOf(modelCircuit), circuitBreaker.stateOf(circuit)];
+    if (states.includes('open')) return 'open';
+    if (states.includes('half-open')) return 'half-open';
+    return 'closed';
+  }
+
+  function orderKeyStyles(model) {
+    const preferred = preferredKeyStyles.get(model);
+    return preferred ? [preferred, ...KEY_STYLES.filter((style) => style !== preferred)] : KEY_STYLES;
+  }
+
+  // /ready: GET /key بيتأكد إن المفتاح شغال (401 لو غلط). OPENROUTER_BASE_URL ممكن يشاور على stand-in محلي
+  async function checkReady({ timeoutMs = 5000 } = {}) {
+    if (!apiKey) {
+      throw createProviderError('OPENROUTER_API_KEY غير موجود في ملف .env', 500);
+    }
+
+    const target = `${String(baseUrl).replace(/\/+$/, '')}/key`;
+    await axios.get(target, {
+      headers: { Authorization: `Bearer ${apiKey}` },
+      timeout: timeoutMs
+    });
+    return { target };
+  }
+
+  return {
+    name: 'openrouter',
+    defaultTextModel,
+    defaultVisionModel,
+    chat: callOpenRouter,
+    chatWithPdf: callOpenRouterForPdf,
+    checkReady,
+    circuits: circuitBreaker.snapshot
+  };
+}
+
+module.exports = {
+  createOpenRouterProvider
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Result cache (same file = same result)
+========================= */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// أي تعديل في الـ prompt بيغيّر الـ version فالنتايج القديمة ما بتترجعش
+function promptVersion(prompt) {
+  return sha256(String(prompt || '')).slice(0, 12);
+}
+
+function buildCacheKey({ buffer, task, provider, model, promptVersion: version }) {
+  const fileHash = sha256(buffer);
+  return {
+    key: sha256([fileHash, task, provider, model, version].join('|')),
+    fileHash,
+    task,
+    provider,
+    model,
+    promptVersion: version
+  };
+}
+
+function matchesFilter(entry, { fileHash, task } = {}) {
+  if (fileHash && entry.fileHash !== fileHash) return false;
+  if (task && entry.task !== task) return false;
+  return true;
+}
+
+/* =========================
+   Stores
+========================= */
+function createMemoryStore({ maxEntries }) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // LRU: اللي اتقرا آخر واحد يروح آخر الـ Map
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(entry) {
+      entries.delete(entry.key);
+      entries.set(entry.key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async purge(filter) {
+      let purged = 0;
+      for (const [key, entry] of entries) {
+        if (matchesFilter(entry, filter)) {
+          entries.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    },
+    async size() {
+      return entries.size;
+    }
+  };
+}
+
+function createFileStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  async function readAll() {
+    const names = await fs.promises.readdir(dir);
+    const entries = [];
+    for (const name of names.filter((file) => file.endsWith('.json'))) {
+      try {
+        entries.push(JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8')));
+      } catch {
+        // ملف ناقص أو بايظ: نتجاهله
+      }
+    }
+    return entries;
+  }
+
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(entry) {
+      // نكتب في ملف مؤقت وبعدين rename عشان ما نقراش ملف نصه مكتوب
+      const tmp = `${fileFor(entry.key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, fileFor(entry.key));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+    async purge(filter) {
+      let purged = 0;
+      for (const entry of await readAll()) {
+        if (matchesFilter(entry, filter)) {
+          await fs.promises.rm(fileFor(entry.key), { force: true });
+          purged++;
+        }
+      }
+      return purged;
+    },
+    async size() {
+      const names = await fs.promises.readdir(dir);
+      return names.filter((file) => file.endsWith('.json')).length;
+    }
+  };
+}
+
+function createSqliteStore({ sqlitePath }) {
+  // better-sqlite3 بيتحمل بس لو الـ backend ده متختار
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS result_cache (
+      key TEXT PRIMARY KEY,
+      file_hash TEXT NOT NULL,
+      task TEXT NOT NULL,
+      entry TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS result_cache_file_hash ON result_cache (file_hash);
+  `);
+
+  const selectOne = db.prepare('SELECT entry FROM result_cache WHERE key = ?');
+  const upsert = db.prepare(`
+    INSERT INTO result_cache (key, file_hash, task, entry, expires_at)
+    VALUES (@key, @fileHash, @task, @entry, @expiresAt)
+    ON CONFLICT(key) DO UPDATE SET entry = excluded.entry, expires_at = excluded.expires_at
+  `);
+  const deleteOne = db.prepare('DELETE FROM result_cache WHERE key = ?');
+  const deleteExpired = db.prepare('DELETE FROM result_cache WHERE expires_at <= ?');
+  const count = db.prepare('SELECT COUNT(*) AS n FROM result_cache');
+
+  return {
+    name: 'sqlite',
+    async get(key) {
+      const row = selectOne.get(key);
+      return row ? JSON.parse(row.entry) : null;
+    },
+    async set(entry) {
+      upsert.run({
+        key: entry.key,
+        fileHash: entry.fileHash,
+        task: entry.task,
+        entry: JSON.stringify(entry),
+        expiresAt: entry.expiresAt
+      });
+    },
+    async delete(key) {
+      deleteOne.run(key);
+    },
+    async purge({ fileHash, task } = {}) {
+      const where = [];
+      const params = [];
+      if (fileHash) {
+        where.push('file_hash = ?');
+        params.push(fileHash);
+      }
+      if (task) {
+        where.push('task = ?');
+        params.push(task);
+      }
+      const sql = `DELETE FROM result_cache${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`;
+      return db.prepare(sql).run(...params).changes;
+    },
+    async size() {
+      deleteExpired.run(Date.now());
+      return count.get().n;
+    }
+  };
+}
+
+/* =========================
+   Cache
+========================= */
+function createResultCache({ backend = 'memory', ttlSeconds, maxEntries = 500, dir, sqlitePath }) {
+  if (backend === 'off') {
+    return { enabled: false, backend, ttlSeconds };
+  }
+
+  let store;
+  if (backend === 'memory') {
+    store = createMemoryStore({ maxEntries });
+  } else if (backend === 'file') {
+    store = createFileStore({ dir });
+  } else if (backend === 'sqlite') {
+    store = createSqliteStore({ sqlitePath });
+  } else {
+    throw new Error(`Unknown RESULT_CACHE_BACKEND: ${backend} (memory | file | sqlite | off)`);
+  }
+
+  return {
+    enabled: true,
+    backend: store.name,
+    ttlSeconds,
+
+    async get(cacheKey) {
+      const entry = await store.get(cacheKey.key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await store.delete(cacheKey.key);
+        return null;
+      }
+      return entry;
+    },
+
+    async set(cacheKey, value) {
+      const now = Date.now();
+      const entry = {
+        ...cacheKey,
+        value,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: now + ttlSeconds * 1000
+      };
+      await store.set(entry);
+      return entry;
+    },
+
+    purge(filter) {
+      return store.purge(filter);
+    },
+
+    size() {
+      return store.size();
+    }
+  };
+}
+
+module.exports = {
+  sha256,
+  promptVersion,
+  buildCacheKey,
+  createResultCache
+};
@@ -0,0 +1,161 @@
+const { parseDateToIso } = require('./dates');
+
+/* =========================
+   Rule-based extraction (no model reachable)
+========================= */
+// آخر حل لما مفيش أي موديل متاح: نقرأ النص الناتج من OCR بالـ regex
+const DATE_TOKEN =
+  '(\\d{1,2}[-/. ]\\d{1,2}[-/. ]\\d{2,4}|\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}|\\d{1,2}[-/. ]?[A-Za-z]{3,9}[-/., ]*\\d{2,4})';
+
+function normalizeOcrText(text) {
+  return String(text || '')
+    .replace(/\r/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function findLabeledValue(text, labels, valuePattern = '([^\\n]+)') {
+  for (const label of labels) {
+    // \b مش بيشتغل مع الحروف العربية، فبنمنع بس إن الـ label يكون جزء من كلمة إنجليزية
+    const re = new RegExp(`(?:^|[^A-Za-z0-9])(?:${label})\\s*[:：\\-]?\\s*${valuePattern}`, 'i');
+    const match = text.match(re);
+    if (match && match[1] && match[1].trim()) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+function findLabeledDate(text, labels) {
+  const raw = findLabeledValue(text, labels, DATE_TOKEN);
+  return raw ? parseDateToIso(raw) : null;
+}
+
+function findNumber(text, labels) {
+  const raw = findLabeledValue(text, labels, '(\\d{1,3}(?:[.,]\\d+)?)');
+  return raw ? raw.replace(',', '.') : null;
+}
+
+function matchFirst(text, rules) {
+  for (const [pattern, value] of rules) {
+    if (pattern.test(text)) return value;
+  }
+  return null;
+}
+
+function extractCvFieldsFromText(rawText) {
+  const text = normalizeOcrText(rawText);
+  const lower = text.toLowerCase();
+
+  const passportnumber =
+    findLabeledValue(text, ['passport\\s*(?:no|number|#)\\.?', 'رقم\\s*الجواز'], '([A-Z]{1,2}\\s?\\d{6,8})') ||
+    (text.match(/\b([A-Z]{1,2}\d{6,8})\b/) || [])[1] ||
+    null;
+
+  return {
+    Name: findLabeledValue(text, ['full\\s*name', 'name', 'الاسم']),
+    Passportnumber: passportnumber ? passportnumber.replace(/\s+/g, '') : null,
+    dateofbirth: findLabeledDate(text, ['date\\s*of\\s*birth', 'd\\.?o\\.?b\\.?', 'birth\\s*date', 'تاريخ\\s*الميلاد']),
+    PassportStart: findLabeledDate(text, ['date\\s*of\\s*issue', 'issue\\s*date', 'تاريخ\\s*الإصدار']),
+    PassportEnd: findLabeledDate(text, ['date\\s*of\\s*expiry', 'expiry\\s*date', 'expiration\\s*date', 'تاريخ\\s*الانتهاء']),
+    Nationality: findLabeledValue(text, ['nationality', 'الجنسية'], '([^\\n,]+)'),
+    Religion: matchFirst(lower, [
+      [/\b(muslim|islam)\b|مسلم/, 'Islam - الإسلام'],
+      [/\b(christian|catholic|protestant|orthodox)\b|مسيحي/, 'Non-Muslim - غير مسلم']
+    ]),
+    maritalstatus: matchFirst(lower, [
+      [/\bmarried\b|متزوج/, 'Married - متزوجة'],
+      [/\bdivorced\b|مطلق/, 'Divorced - مطلقة'],
+      [/\bsingle\b|عزباء|عازب/, 'Single - عازبة']
+    ]),
+    phone: findLabeledValue(text, ['phone', 'mobile', 'tel', 'contact', 'الهاتف', 'الجوال'], '(\\+?[\\d][\\d\\s-]{7,}\\d)'),
+    age: findNumber(text, ['age', 'العمر']),
+    height: findNumber(text, ['height', 'الطول']),
+    weight: findNumber(text, ['weight', 'الوزن']),
+    childrencount: findNumber(text, ['(?:number\\s*of\\s*|no\\.?\\s*of\\s*)?children', 'عدد\\s*الأطفال']),
+    job: findLabeledValue(text, ['position\\s*applied(?:\\s*for)?', 'post\\s*applied(?:\\s*for)?', 'job', 'position', 'المهنة'], '([^\\n,]+)'),
+    Salary: findLabeledValue(text, ['salary', 'الراتب'], '(\\d[\\d,.]*)'),
+    officeName: findLabeledValue(text, ['agency', 'office', 'المكتب'], '([^\\n,]+)')
+  };
+}
+
+const FLIGHT_RE = /\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{2,4})\b/g;
+const ROUTE_CHAIN_RE = /\b[A-Z]{3}(?:\s*(?:-|–|→|>|to)\s*[A-Z]{3})+\b/g;
+
+function extractTicketFieldsFromText(rawText) {
+  const text = normalizeOcrText(rawText);
+
+  const flights = [...text.matchAll(FLIGHT_RE)].map((m) => `${m[1]}${m[2]}`);
+  const routeMatch = text.match(/\b([A-Z]{3})\s*(?:-|–|→|>|to)\s*([A-Z]{3})\b/);
+  const times = text.match(/\b([01]?\d|2[0-3]):[0-5]\d(?:\s?[AP]M)?\b/gi) || [];
+  const dates = [];
+  const dateRe = new RegExp(DATE_TOKEN, 'g');
+  let match;
+  while ((match = dateRe.exec(text)) !== null) {
+    const iso = parseDateToIso(match[1]);
+    if (iso) dates.push(iso);
+  }
+
+  // "EBB - ADD - RUH" أو كذا سطر route = رحلة ترانزيت
+  const legs = [];
+  for (const chain of text.match(ROUTE_CHAIN_RE) || []) {
+    const codes = chain.match(/[A-Z]{3}/g);
+    for (let i = 0; i < codes.length - 1; i++) legs.push([codes[i], codes[i + 1]]);
+  }
+  const segments =
+    legs.length > 1
+      ? legs.map(([from, to], i) => ({
+          airline: null,
+          flight_number: flights[i] || null,
+          departure_airport: from,
+          arrival_airport: to,
+          departure_date: null,
+          departure_time: times[i * 2] || null,
+          arrival_date: null,
+          arrival_time: times[i * 2 + 1] || null
+        }))
+      : [];
+
+  return {
+    reference_id: findLabeledValue(
+      text,
+      ['booking\\s*ref(?:erence)?', 'pnr', 'reservation\\s*code', 'confirmation', 'ticket\\s*(?:no|number)\\.?'],
+      '([A-Z0-9]{5,14})'
+    ),
+    airlines: findLabeledValue(text, ['airline', 'carrier', 'operated\\s*by'], '([^\\n,]+)'),
+    flight_number: flights[0] || null,
+    departure_date: dates[0] || null,
+    departure_time: times[0] || null,
+    arrival_date: dates[1] || dates[0] || null,
+    arrival_time: times[1] || null,
+    departure_airport: routeMatch ? routeMatch[1] : findLabeledValue(text, ['from\\s*:', 'departure\\s*:'], '([^\\n,]+)'),
+    arrival_airport: routeMatch ? routeMatch[2] : findLabeledValue(text, ['to\\s*:', 'arrival\\s*:'], '([^\\n,]+)'),
+    segments
+  };
+}
+
+function extractPassportFieldsFromText(rawText) {
+  const text = normalizeOcrText(rawText);
+  const cv = extractCvFieldsFromText(rawText);
+  const sex = findLabeledValue(text, ['sex', 'الجنس'], '([MF])\\b');
+
+  return {
+    Name: cv.Name,
+    surname: findLabeledValue(text, ['surname', 'اللقب'], '([^\\n,]+)'),
+    givenNames: findLabeledValue(text, ['given\\s*names?', 'الاسم\\s*الأول'], '([^\\n,]+)'),
+    Passportnumber: cv.Passportnumber,
+    Nationality: cv.Nationality,
+    dateofbirth: cv.dateofbirth,
+    sex: sex ? sex.toUpperCase() : null,
+    placeOfBirth: findLabeledValue(text, ['place\\s*of\\s*birth', 'محل\\s*الميلاد'], '([^\\n,]+)'),
+    PassportStart: cv.PassportStart,
+    PassportEnd: cv.PassportEnd,
+    issuingAuthority: findLabeledValue(text, ['authority', 'issuing\\s*authority', 'جهة\\s*الإصدار'], '([^\\n,]+)')
+  };
+}
+
+module.exports = {
+  extractCvFieldsFromText,
+  extractPassportFieldsFromText,
+  extractTicketFieldsFromText
+};
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const { objectSchema, buildResponseFormat, parseModelJson } = require('./modelJson');
+const { validateEnumFields } = require('./enumValidation');
+const { parseDateToIso, parseTimeTo24h } = require('./dates');
+const { promptVersion } = require('./resultCache');
+const { buildExamplesSection } = require('./fewShotExamples');
+
+/* =========================
+   Document-type schema registry
+========================= */
+// كل نوع مستند بيتعرف في ملف JS أو JSON جوه schemas/ وبيتحمل مرة واحدة وقت التشغيل:
+// {
+//   type, label, wrapper, aliases, defaultFilename, max_tokens, ruleExtractor,
+//   fields: { key: 'string' | { type, values, format, description } },
+//   extraProperties: { key: JSON schema },   // مفاتيح زيادة مسموحة في الـ structured output (_mrz, segments)
+//   pii: [key],                               // حقول بتتخبى في الـ logs (lib/logger.js)
+//   prompt: { document, text, rules, documentRules },
+//   classify: { description, keywords }      // اختياري: يخلي /process-document يتعرف على النوع
+// }
+const FIELD_TYPES = ['string', 'number', 'date', 'time', 'enum'];
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+function warning(field, code, message, extra = {}) {
+  return { field, code, message, ...extra };
+}
+
+function normalizeField(key, spec, source) {
+  const field = typeof spec === 'string' ? { type: spec } : { ...(spec || {}) };
+  field.type = field.type || (Array.isArray(field.values) ? 'enum' : 'string');
+
+  if (!FIELD_TYPES.includes(field.type)) {
+    throw new Error(`${source}: field "${key}" has unknown type "${field.type}"`);
+  }
+  if (field.type === 'enum' && (!Array.isArray(field.values) || !field.values.length)) {
+    throw new Error(`${source}: enum field "${key}" needs a non-empty "values" list`);
+  }
+  if (field.type === 'date') {
+    field.format = field.format || DEFAULT_DATE_FORMAT;
+  }
+  return field;
+}
+
+// YYYY-MM-DD -> الشكل المطلوب (DD/MM/YYYY, MM-DD-YYYY, ...)
+function formatIsoDate(iso, format) {
+  const [year, month, day] = iso.split('-');
+  return format.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+function describeFieldRule(key, field) {
+  if (field.type === 'date') return `- ${key}: date in format ${field.format}, else null.`;
+  if (field.type === 'time') return `- ${key}: 24-hour "HH:mm", else null.`;
+  if (field.type === 'number') return `- ${key}: digits only (no units), else null.`;
+  if (field.description) return `- ${key}: ${field.description}`;
+  return null;
+}
+
+// الـ rules الافتراضية لأي نوع جديد مش كاتب prompt.rules بنفسه
+function buildDefaultRules(keys, fields) {
+  const fieldRules = keys.map((key) => describeFieldRule(key, fields[key])).filter(Boolean);
+
+  const template = `{\n${keys.map((key) => `  "${key}": null`).join(',\n')}\n}`;
+
+  const enumSections = keys
+    .filter((key) => fields[key].type === 'enum')
+    .map((key) => `${key}:\n${fields[key].values.map((value) => `- "${value}"`).join('\n')}`);
+
+  return `
+⚠️ STRICT RULES:
+- Return ONLY a valid flat JSON object with EXACTLY the keys listed below.
+- Do NOT add extra keys. Do NOT rename keys.
+- All values must be strings.
+- If a value is missing, use null.
+- JSON only, no markdown, no commentary.
+${fieldRules.join('\n')}
+
+🧾 REQUIRED KEYS (ALL MUST EXIST):
+${template}
+${enumSections.length ? `\n🎯 ALLOWED VALUES (USE EXACTLY AS SHOWN - DO NOT MODIFY):\n\n${enumSections.join('\n\n')}\n` : ''}`;
+}
+
+function compileSchema(definition, source) {
+  const type = String(definition?.type || '').trim().toLowerCase();
+  if (!/^[a-z][a-z0-9_-]*$/.test(type)) {
+    throw new Error(`${source}: "type" must be a lowercase identifier`);
+  }
+  if (!definition.fields || typeof definition.fields !== 'object' || !Object.keys(definition.fields).length) {
+    throw new Error(`${source}: "fields" must list at least one key`);
+  }
+
+  if (definition.classify && typeof definition.classify.description !== 'string') {
+    throw new Error(`${source}: "classify.description" must be a string`);
+  }
+
+  const fields = {};
+  for (const [key, spec] of Object.entries(definition.fields)) {
+    fields[key] = normalizeField(key, spec, source);
+  }
+  const keys = Object.keys(fields);
+
+  const piiKeys = definition.pii || [];
+  const knownKeys = [...keys, ...Object.keys(definition.extraProperties || {})];
+  for (const key of piiKeys) {
+    if (!knownKeys.includes(key)) {
+      throw new Error(`${source}: "pii" lists unknown field "${key}"`);
+    }
+  }
+
+  const prompt = definition.prompt || {};
+  const label = definition.label || type;
+  const rules = prompt.rules || buildDefaultRules(keys, fields);
+  const documentIntro =
+    prompt.document ||
+    `Extract the ${label} information from the image or PDF and return ONLY a valid flat JSON object.`;
+  const textIntro =
+    prompt.text || `Extract the ${label} information from the following text and return ONLY a valid flat JSON object.`;
+
+  // examples: أمثلة few-shot اختيارية (lib/fewShotExamples.js) بتتحط بعد الـ rules
+  function buildDocumentPrompt({ examples = [] } = {}) {
+    return `
+${documentIntro}
+
+${rules}
+${prompt.documentRules || ''}
+${buildExamplesSection(examples)}
+  `.trim();
+  }
+
+  function buildTextPrompt(text, { examples = [] } = {}) {
+    return `
+${textIntro}
+
+${rules}
+${buildExamplesSection(examples)}
+Text: "${text}"
+  `.trim();
+  }
+
+  const responseFormat = buildResponseFormat(
+    `${type.replace(/-/g, '_')}_extraction`,
+    objectSchema(keys, definition.extraProperties || {})
+  );
+
+  // الـ flat object بنفس ترتيب الـ keys، وأي قيمة مش string بتتحول string
+  function normalize(rawText) {
+    const { value: parsed, repairs } = parseModelJson(rawText);
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('Response is not a valid flat JSON object');
+    }
+
+    const values = {};
+    for (const key of keys) {
+      const value = parsed[key];
+      if (value === undefined || value === null) {
+        values[key] = null;
+      } else if (typeof value === 'object') {
+        values[key] = JSON.stringify(value);
+      } else {
+        values[key] = String(value);
+      }
+    }
+
+    return { parsed, values, repairs };
+  }
+
+  // validation عامة حسب نوع كل حقل (للأنواع اللي ملهاش postprocess خاص في server.js)
+  function validate(record) {
+    const enumSpecs = {};
+    for (const key of keys) {
+      if (fields[key].type === 'enum') enumSpecs[key] = { values: fields[key].values };
+    }
+    const { values, report } = validateEnumFields(record, enumSpecs);
+    const warnings = [];
+
+    for (const key of keys) {
+      const raw = values[key];
+      if (raw === null || raw === undefined) continue;
+      const field = fields[key];
+
+      if (field.type === 'date') {
+        const iso = parseDateToIso(raw);
+        values[key] = iso ? formatIsoDate(iso, field.format) : null;
+        if (!iso) warnings.push(warning(key, 'invalid_date', `${key} ليس تاريخًا صالحًا.`, { from: raw, to: null }));
+      } else if (field.type === 'time') {
+        const parsed = parseTimeTo24h(raw);
+        values[key] = parsed ? parsed.time : null;
+        if (!parsed) warnings.push(warning(key, 'invalid_time', `${key} ليس وقتًا صالحًا.`, { from: raw, to: null }));
+      } else if (field.type === 'number') {
+        const digits = String(raw).replace(/[^\d.-]/g, '');
+        values[key] = digits && Number.isFinite(Number(digits)) ? digits : null;
+        if (values[key] === null) warnings.push(warning(key, 'invalid_number', `${key} ليس رقمًا صالحًا.`, { from: raw, to: null }));
+      }
+    }
+
+    return { values, validation: report, warnings };
+  }
+
+  function describe() {
+    return {
+      type,
+      label,
+      wrapper: definition.wrapper || 'data',
+      aliases: definition.aliases || [],
+      classifiable: Boolean(definition.classify),
+      promptVersion: promptVersion(buildDocumentPrompt()),
+      fields
+    };
+  }
+
+  return {
+    type,
+    label,
+    wrapper: definition.wrapper || 'data',
+    aliases: definition.aliases || [],
+    keys,
+    fields,
+    piiKeys,
+    defaultFilename: definition.defaultFilename || `${type}.pdf`,
+    max_tokens: definition.max_tokens || 1200,
+    ruleExtractor: definition.ruleExtractor || null,
+    errorMessage: definition.errorMessage || 'حدث خطأ أثناء معالجة الملف.',
+    classify: definition.classify || null,
+    responseFormat,
+    buildDocumentPrompt,
+    buildTextPrompt,
+    normalize,
+    validate,
+    describe,
+    source
+  };
+}
+
+function loadDefinition(file) {
+  if (file.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return require(file);
+}
+
+// أي ملف غلط بيوقف التشغيل: أحسن من نوع مستند ناقص يشتغل بالغلط
+function createSchemaRegistry({ dir }) {
+  const schemas = new Map();
+  const aliases = new Map();
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => /\.(js|json)$/.test(name))
+    .sort();
+
+  for (const name of files) {
+    const file = path.resolve(dir, name);
+    const schema = compileSchema(loadDefinition(file), name);
+
+    if (schemas.has(schema.type) || aliases.has(schema.type)) {
+      throw new Error(`${name}: document type "${schema.type}" is already registered`);
+    }
+    schemas.set(schema.type, schema);
+
+    for (const alias of schema.aliases) {
+      const key = String(alias).toLowerCase();
+      if (schemas.has(key) || aliases.has(key)) {
+        throw new Error(`${name}: alias "${key}" is already registered`);
+      }
+      aliases.set(key, schema.type);
+    }
+  }
+
+  console.log(`[INFO] document schemas: ${[...schemas.keys()].join(', ')}`);
+
+  function get(type) {
+    const key = String(type || '').toLowerCase();
+    return schemas.get(key) || schemas.get(aliases.get(key)) || null;
+  }
+
+  function list() {
+    return [...schemas.values()];
+  }
+
+  return { get, list };
+}
+
+module.exports = {
+  compileSchema,
+  createSchemaRegistry
+};
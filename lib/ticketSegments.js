@@ -0,0 +1,94 @@
+/* =========================
+   Ticket segments (رحلات الترانزيت)
+========================= */
+const TICKET_SEGMENT_KEYS = [
+  'airline',
+  'flight_number',
+  'departure_airport',
+  'arrival_airport',
+  'departure_date',
+  'departure_time',
+  'arrival_date',
+  'arrival_time'
+];
+
+function toNullableString(value) {
+  if (value === undefined || value === null) return null;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+  return text === '' ? null : text;
+}
+
+function normalizeSegment(raw) {
+  const segment = {};
+  for (const key of TICKET_SEGMENT_KEYS) {
+    // بعض الموديلات بترجع airlines زي الـ flat keys
+    const value = key === 'airline' ? raw.airline ?? raw.airlines : raw[key];
+    segment[key] = toNullableString(value);
+  }
+  return segment;
+}
+
+function normalizeSegments(rawSegments) {
+  if (!Array.isArray(rawSegments)) return [];
+
+  return rawSegments
+    .filter((raw) => raw && typeof raw === 'object' && !Array.isArray(raw))
+    .map(normalizeSegment)
+    .filter((segment) => Object.values(segment).some((value) => value !== null));
+}
+
+// تذكرة مباشرة من غير segments: بنعمل leg واحد من الـ flat keys
+function segmentFromFlat(flat) {
+  const segment = normalizeSegment(flat);
+  return Object.values(segment).some((value) => value !== null) ? [segment] : [];
+}
+
+// الموديل ساعات بيملى الـ flat وينسى نفس القيمة في أول/آخر leg
+function backfillSegmentsFromFlat(segments, flat) {
+  if (!segments.length) return segments;
+
+  const filled = segments.map((segment) => ({ ...segment }));
+  const first = filled[0];
+  const last = filled[filled.length - 1];
+
+  for (const key of ['flight_number', 'departure_airport', 'departure_date', 'departure_time']) {
+    if (first[key] === null && flat[key]) first[key] = flat[key];
+  }
+  for (const key of ['arrival_airport', 'arrival_date', 'arrival_time']) {
+    if (last[key] === null && flat[key]) last[key] = flat[key];
+  }
+  if (filled.length === 1 && first.airline === null && flat.airlines) {
+    first.airline = flat.airlines;
+  }
+
+  return filled;
+}
+
+// الـ flat (جدول tickets_details) بيتملى من أول إقلاع وآخر وصول
+function mergeSegmentsIntoFlat(flat, segments) {
+  if (!segments.length) return { ...flat };
+
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const airlines = [...new Set(segments.map((segment) => segment.airline).filter(Boolean))];
+
+  return {
+    ...flat,
+    airlines: flat.airlines || (airlines.length ? airlines.join(' / ') : null),
+    flight_number: first.flight_number,
+    departure_airport: first.departure_airport,
+    departure_date: first.departure_date,
+    departure_time: first.departure_time,
+    arrival_airport: last.arrival_airport,
+    arrival_date: last.arrival_date,
+    arrival_time: last.arrival_time
+  };
+}
+
+module.exports = {
+  TICKET_SEGMENT_KEYS,
+  normalizeSegments,
+  segmentFromFlat,
+  backfillSegmentsFromFlat,
+  mergeSegmentsIntoFlat
+};
@@ -0,0 +1,260 @@
+const { parseDateToIso, parseTimeTo24h, addDaysIso } = require('./dates');
+const { findAirport, findAirline, resolveAirport, resolveAirline } = require('./iataTables');
+const { mergeSegmentsIntoFlat } = require('./ticketSegments');
+
+/* =========================
+   Ticket validation (IATA tables, times, chronology)
+========================= */
+const MINUTES_PER_DAY = 24 * 60;
+
+function warning(field, code, message, extra = {}) {
+  return { field, code, message, ...extra };
+}
+
+function offsetMinutes(utcOffset) {
+  const match = String(utcOffset || '').match(/^([+-])(\d{2}):(\d{2})$/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// دقايق من 1970 بتوقيت UTC. لو المطار مش في الجدول بنقارن بالتوقيت المحلي زي ما هو
+function toUtcMinutes(date, time, airportCode) {
+  if (!date || !time) return null;
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const local = Date.UTC(y, m - 1, d, hh, mm) / 60000;
+  return local - offsetMinutes(findAirport(airportCode)?.utcOffset);
+}
+
+// "ETH 334" / "et-334" -> { designator: 'ET', number: '334' }
+function parseFlightNumber(value) {
+  const text = String(value || '').toUpperCase().replace(/[\s-]+/g, '');
+  const match = text.match(/^([A-Z0-9]{2}|[A-Z]{3})(\d{1,4}[A-Z]?)$/);
+  if (!match) return null;
+
+  let designator = match[1];
+  // designator من 3 حروف = ICAO، بنحوله لـ IATA لو عارفينه
+  if (designator.length === 3) {
+    const airline = findAirline(designator);
+    if (!airline) return null;
+    designator = airline.iata;
+  }
+  return { designator, number: match[2], flightNumber: `${designator}${match[2]}` };
+}
+
+function validateAirport(segment, key, prefix, warnings) {
+  const raw = segment[key];
+  const result = resolveAirport(raw);
+  const field = `${prefix}${key}`;
+
+  if (result.status === 'coerced') {
+    warnings.push(warning(field, 'airport_resolved', `${key} اتحول لكود IATA.`, { from: raw, to: result.value, reason: result.reason }));
+  } else if (result.status === 'unknown') {
+    warnings.push(warning(field, 'unknown_airport_code', `كود المطار ${result.value} غير موجود في جدول المطارات.`, { value: result.value }));
+  } else if (result.status === 'rejected') {
+    warnings.push(warning(field, 'unresolved_airport', `تعذر تحويل ${key} لكود IATA.`, { value: raw }));
+  }
+
+  segment[key] = result.value;
+}
+
+function validateAirline(segment, prefix, warnings) {
+  const raw = segment.airline;
+  const result = resolveAirline(raw);
+  const field = `${prefix}airline`;
+
+  if (result.status === 'coerced') {
+    warnings.push(warning(field, 'airline_resolved', 'اسم شركة الطيران اتوحد حسب جدول شركات الطيران.', { from: raw, to: result.value, reason: result.reason }));
+  } else if (result.status === 'rejected') {
+    warnings.push(warning(field, 'unknown_airline', 'شركة الطيران غير موجودة في جدول شركات الطيران.', { value: raw }));
+  }
+
+  segment.airline = result.value;
+  return result.entry;
+}
+
+function validateFlightNumber(segment, airline, prefix, warnings) {
+  const raw = segment.flight_number;
+  if (!raw) return;
+
+  const field = `${prefix}flight_number`;
+  const parsed = parseFlightNumber(raw);
+  if (!parsed) {
+    warnings.push(warning(field, 'invalid_flight_number', 'رقم الرحلة ليس بصيغة IATA صحيحة.', { value: raw }));
+    return;
+  }
+
+  if (parsed.flightNumber !== raw) {
+    warnings.push(warning(field, 'flight_number_normalized', 'رقم الرحلة اتوحد لصيغة IATA.', { from: raw, to: parsed.flightNumber }));
+    segment.flight_number = parsed.flightNumber;
+  }
+
+  const byDesignator = findAirline(parsed.designator);
+  if (airline) {
+    if (airline.iata !== parsed.designator) {
+      // ممكن تكون رحلة codeshare، فبنكتفي بـ warning
+      warnings.push(
+        warning(field, 'flight_number_airline_mismatch', `رقم الرحلة لا يطابق كود شركة الطيران (${airline.iata}).`, {
+          value: segment.flight_number,
+          airline: airline.name,
+          expectedDesignator: airline.iata,
+          designatorAirline: byDesignator?.name || null
+        })
+      );
+    }
+  } else if (!segment.airline && byDesignator) {
+    segment.airline = byDesignator.name;
+    warnings.push(warning(`${prefix}airline`, 'airline_from_flight_number', 'شركة الطيران اتحددت من كود رقم الرحلة.', { from: null, to: byDesignator.name }));
+  }
+}
+
+function validateDate(segment, key, prefix, warnings) {
+  const raw = segment[key];
+  if (!raw) return;
+  const iso = parseDateToIso(raw);
+  if (!iso) {
+    warnings.push(warning(`${prefix}${key}`, 'invalid_date', `${key} ليس تاريخًا صالحًا.`, { from: raw, to: null }));
+  }
+  segment[key] = iso;
+}
+
+// بيرجع true لو الوقت فيه "+1" (وصول اليوم اللي بعده)
+function validateTime(segment, key, prefix, warnings) {
+  const raw = segment[key];
+  if (!raw) return false;
+
+  const parsed = parseTimeTo24h(raw);
+  if (!parsed) {
+    warnings.push(warning(`${prefix}${key}`, 'invalid_time', `${key} ليس وقتًا صالحًا.`, { from: raw, to: null }));
+    segment[key] = null;
+    return false;
+  }
+
+  if (parsed.time !== raw) {
+    warnings.push(warning(`${prefix}${key}`, 'time_normalized', `${key} اتحول لصيغة 24 ساعة HH:mm.`, { from: raw, to: parsed.time }));
+  }
+  segment[key] = parsed.time;
+  return parsed.nextDay;
+}
+
+function validateChronology(segment, nextDayMarker, prefix, warnings) {
+  const { departure_date: depDate, departure_time: depTime, arrival_time: arrTime } = segment;
+  if (!depDate) return;
+
+  if (nextDayMarker && (!segment.arrival_date || segment.arrival_date === depDate)) {
+    const to = addDaysIso(depDate, 1);
+    warnings.push(warning(`${prefix}arrival_date`, 'next_day_arrival', 'وقت الوصول عليه +1، تاريخ الوصول اتحسب اليوم التالي.', { from: segment.arrival_date, to }));
+    segment.arrival_date = to;
+  }
+
+  const departure = toUtcMinutes(depDate, depTime, segment.departure_airport);
+
+  if (!segment.arrival_date) {
+    if (departure === null || !arrTime) return;
+    // تاريخ الوصول ناقص: نفس اليوم، أو اليوم اللي بعده لو الوقت بيرجع لورا
+    const sameDay = toUtcMinutes(depDate, arrTime, segment.arrival_airport);
+    const to = sameDay < departure ? addDaysIso(depDate, 1) : depDate;
+    warnings.push(warning(`${prefix}arrival_date`, 'arrival_date_inferred', 'تاريخ الوصول غير موجود واتحسب من تاريخ ووقت الإقلاع.', { from: null, to }));
+    segment.arrival_date = to;
+    return;
+  }
+
+  const arrival = toUtcMinutes(segment.arrival_date, arrTime, segment.arrival_airport);
+
+  if (departure === null || arrival === null) {
+    if (segment.arrival_date < depDate) {
+      warnings.push(warning(`${prefix}arrival_date`, 'arrival_before_departure', 'تاريخ الوصول قبل تاريخ الإقلاع.', { departure_date: depDate, arrival_date: segment.arrival_date }));
+    }
+    return;
+  }
+
+  if (arrival >= departure) return;
+
+  // وصول اليوم اللي بعده والموديل كرر تاريخ الإقلاع
+  if (segment.arrival_date === depDate && arrival + MINUTES_PER_DAY >= departure) {
+    const to = addDaysIso(depDate, 1);
+    warnings.push(warning(`${prefix}arrival_date`, 'next_day_arrival', 'وقت الوصول قبل وقت الإقلاع، تاريخ الوصول اتحسب اليوم التالي.', { from: segment.arrival_date, to }));
+    segment.arrival_date = to;
+    return;
+  }
+
+  warnings.push(
+    warning(`${prefix}arrival_date`, 'arrival_before_departure', 'الوصول قبل الإقلاع.', {
+      departure_date: depDate,
+      departure_time: depTime,
+      arrival_date: segment.arrival_date,
+      arrival_time: arrTime
+    })
+  );
+}
+
+function validateConnections(segments, warnings) {
+  for (let i = 1; i < segments.length; i++) {
+    const prev = segments[i - 1];
+    const next = segments[i];
+    const prefix = `segments[${i}].`;
+
+    if (prev.arrival_airport && next.departure_airport && prev.arrival_airport !== next.departure_airport) {
+      warnings.push(
+        warning(`${prefix}departure_airport`, 'disconnected_segments', 'مطار الإقلاع لا يطابق مطار وصول الرحلة السابقة.', {
+          previous_arrival_airport: prev.arrival_airport,
+          departure_airport: next.departure_airport
+        })
+      );
+    }
+
+    const landed = toUtcMinutes(prev.arrival_date, prev.arrival_time, prev.arrival_airport);
+    const departs = toUtcMinutes(next.departure_date, next.departure_time, next.departure_airport);
+    if (landed !== null && departs !== null && departs < landed) {
+      warnings.push(warning(`${prefix}departure_time`, 'connection_before_arrival', 'الرحلة بتقلع قبل وصول الرحلة السابقة.'));
+    }
+  }
+}
+
+// بيرجع { tickets_details, segments, warnings } — الـ flat بيتحسب من جديد من الـ segments بعد التصحيح
+function validateTicketItinerary({ tickets_details, segments }) {
+  const warnings = [];
+
+  const validated = segments.map((original, index) => {
+    const segment = { ...original };
+    const prefix = `segments[${index}].`;
+
+    validateAirport(segment, 'departure_airport', prefix, warnings);
+    validateAirport(segment, 'arrival_airport', prefix, warnings);
+    const airline = validateAirline(segment, prefix, warnings);
+    validateFlightNumber(segment, airline, prefix, warnings);
+    validateDate(segment, 'departure_date', prefix, warnings);
+    validateDate(segment, 'arrival_date', prefix, warnings);
+    validateTime(segment, 'departure_time', prefix, warnings);
+    const nextDay = validateTime(segment, 'arrival_time', prefix, warnings);
+    validateChronology(segment, nextDay, prefix, warnings);
+
+    return segment;
+  });
+
+  validateConnections(validated, warnings);
+
+  // airlines في الـ flat ممكن تكون "Ethiopian / Saudia"
+  let { airlines } = tickets_details;
+  if (airlines) {
+    const parts = airlines.split(/\s*[/,]\s*/).filter(Boolean);
+    const resolved = parts.map((part) => resolveAirline(part).value);
+    const canonical = [...new Set(resolved)].join(' / ');
+    if (canonical !== airlines) {
+      warnings.push(warning('airlines', 'airline_resolved', 'اسم شركة الطيران اتوحد حسب جدول شركات الطيران.', { from: airlines, to: canonical }));
+      airlines = canonical;
+    }
+  }
+
+  return {
+    tickets_details: mergeSegmentsIntoFlat({ ...tickets_details, airlines }, validated),
+    segments: validated,
+    warnings
+  };
+}
+
+module.exports = {
+  parseFlightNumber,
+  validateTicketItinerary
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Token usage + cost accounting
+========================= */
+// كل call للموديل بيتسجل: الموديل المطلوب واللي رد فعلًا (fallback)، الـ tokens، والتكلفة التقديرية
+// من جدول الأسعار (data/model-prices.json: سعر المليون token لكل موديل)
+function loadPriceTable(file) {
+  if (!file || !fs.existsSync(file)) {
+    console.warn(`[WARN] model price table not found (${file}), costs will be null`);
+    return { currency: 'USD', per: 1000000, models: {} };
+  }
+
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { currency: table.currency || 'USD', per: table.per || 1000000, models: table.models || {} };
+}
+
+function stripPrefix(model) {
+  return String(model || '').toLowerCase().split('/').pop().split(':')[0];
+}
+
+// exact -> من غير الـ prefix (google/) -> أطول prefix (gemini-2.5-flash-001 -> gemini-2.5-flash) -> "*"
+function findPrice(table, model) {
+  if (!model) return table.models['*'] || null;
+  if (table.models[model]) return table.models[model];
+
+  const name = stripPrefix(model);
+  let best = null;
+  let bestLength = 0;
+  for (const [key, price] of Object.entries(table.models)) {
+    const candidate = stripPrefix(key);
+    if (candidate === name) return price;
+    if (name.startsWith(candidate) && candidate.length > bestLength) {
+      best = price;
+      bestLength = candidate.length;
+    }
+  }
+  return best || table.models['*'] || null;
+}
+
+function normalizeUsage(usage) {
+  const prompt = Number(usage?.prompt_tokens) || 0;
+  const completion = Number(usage?.completion_tokens) || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: Number(usage?.total_tokens) || prompt + completion
+  };
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function estimateCost(table, model, usage) {
+  const price = findPrice(table, model);
+  if (!price) return null;
+  return roundCost(
+    (usage.prompt_tokens * (price.prompt || 0) + usage.completion_tokens * (price.completion || 0)) / table.per
+  );
+}
+
+// الـ provider نفسه من غير تغيير، بس كل رد ناجح بيروح لـ onCall
+function withUsageTracking(provider, onCall) {
+  return {
+    ...provider,
+    async chat(options) {
+      const data = await provider.chat(options);
+      onCall({ task: options.task, requestedModel: options.model, data });
+      return data;
+    },
+    async chatWithPdf(options) {
+      const data = await provider.chatWithPdf(options);
+      onCall({ task: options.task, requestedModel: options.primaryModel, data });
+      return data;
+    }
+  };
+}
+
+function buildUsageCall({ table, provider, task, requestedModel, data }) {
+  const servedModel = data?.model || requestedModel || null;
+  const usage = normalizeUsage(data?.usage);
+  const requested = String(requestedModel || '');
+
+  return {
+    provider,
+    task: task || null,
+    requestedModel: requestedModel || null,
+    servedModel,
+    // OpenRouter ساعات بيرجع اسم بـ version (gemini-2.5-flash-001) فده مش fallback
+    fallback: Boolean(requested && servedModel && !stripPrefix(servedModel).startsWith(stripPrefix(requested))),
+    ...usage,
+    cost: estimateCost(table, servedModel, usage)
+  };
+}
+
+// ملخص الطلب (meta.usage)
+function summarizeUsage(calls = [], currency = 'USD') {
+  const summary = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0, currency, calls };
+  const unpriced = new Set();
+
+  for (const call of calls) {
+    summary.prompt_tokens += call.prompt_tokens;
+    summary.completion_tokens += call.completion_tokens;
+    summary.total_tokens += call.total_tokens;
+    if (call.cost === null) unpriced.add(call.servedModel);
+    else summary.cost += call.cost;
+  }
+
+  summary.cost = roundCost(summary.cost);
+  if (unpriced.size) summary.unpricedModels = [...unpriced];
+  return summary;
+}
+
+// group by المسموح في التقرير -> العمود
+const USAGE_GROUPS = {
+  day: 'day',
+  route: 'route',
+  model: 'served_model',
+  provider: 'provider',
+  task: 'task',
+  office: 'office_name',
+  key: 'api_key_id'
+};
+
+function createUsageStore({ enabled = true, sqlitePath }) {
+  if (!enabled) {
+    return { enabled: false, record() {} };
+  }
+
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      day TEXT NOT NULL,
+      route TEXT,
+      office_name TEXT,
+      api_key_id TEXT,
+      provider TEXT,
+      task TEXT,
+      requested_model TEXT,
+      served_model TEXT,
+      fallback INTEGER NOT NULL DEFAULT 0,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      total_tokens INTEGER NOT NULL DEFAULT 0,
+      cost REAL
+    );
+    CREATE INDEX IF NOT EXISTS usage_events_day ON usage_events (day);
+  `);
+
+  const insertEvent = db.prepare(`
+    INSERT INTO usage_events (
+      request_id, created_at, day, route, office_name, api_key_id, provider, task,
+      requested_model, served_model, fallback, prompt_tokens, completion_tokens, total_tokens, cost
+    ) VALUES (
+      @requestId, @createdAt, @day, @route, @officeName, @apiKeyId, @provider, @task,
+      @requestedModel, @servedModel, @fallback, @prompt_tokens, @completion_tokens, @total_tokens, @cost
+    )
+  `);
+
+  function record({ requestId, route, officeName, apiKeyId, call }) {
+    const createdAt = new Date().toISOString();
+    insertEvent.run({
+      ...call,
+      requestId,
+      createdAt,
+      day: createdAt.slice(0, 10),
+      route: route || null,
+      officeName: officeName || null,
+      apiKeyId: apiKeyId || null,
+      fallback: call.fallback ? 1 : 0
+    });
+  }
+
+  // from / to: YYYY-MM-DD (شاملين)
+  async function report({ groupBy = ['day'], from, to, officeName, apiKeyId } = {}) {
+    const columns = groupBy.map((group) => USAGE_GROUPS[group]);
+    const where = [];
+    const params = [];
+    if (from) {
+      where.push('day >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('day <= ?');
+      params.push(to);
+    }
+    if (officeName) {
+      where.push('lower(office_name) = lower(?)');
+      params.push(officeName);
+    }
+    if (apiKeyId) {
+      where.push('api_key_id = ?');
+      params.push(apiKeyId);
+    }
+    const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+    const fields = [
+      ...columns.map((column, index) => `${column} AS "${groupBy[index]}"`),
+      'COUNT(DISTINCT request_id) AS requests',
+      'COUNT(*) AS calls',
+      'SUM(fallback) AS fallbacks',
+      'SUM(prompt_tokens) AS prompt_tokens',
+      'SUM(completion_tokens) AS completion_tokens',
+      'SUM(total_tokens) AS total_tokens',
+      'ROUND(SUM(COALESCE(cost, 0)), 6) AS cost',
+      'SUM(cost IS NULL) AS unpriced_calls'
+    ];
+    const grouping = columns.length ? ` GROUP BY ${columns.join(', ')} ORDER BY ${columns.join(', ')}` : '';
+
+    return db
+      .prepare(`SELECT ${fields.join(', ')} FROM usage_events${clause}${grouping}`)
+      .all(...params);
+  }
+
+  return { enabled: true, record, report };
+}
+
+function createRequestId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  USAGE_GROUPS,
+  loadPriceTable,
+  estimateCost,
+  withUsageTracking,
+  buildUsageCall,
+  summarizeUsage,
+  createUsageStore,
+  createRequestId
+};
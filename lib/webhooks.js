@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+/* =========================
+   Signed webhook callbacks
+========================= */
+// الطرف التاني بيتحقق: HMAC-SHA256(secret, `${timestamp}.${rawBody}`) == X-Signature
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/* =========================
+   Callback host policy (SSRF)
+========================= */
+// الـ callback بيروح لأي URL العميل بعته، فممنوع يشاور على الـ server نفسه أو الشبكة الداخلية
+// (localhost, 10.x, 192.168.x, 169.254.169.254 metadata, ...). allowedHosts: لو متحددة، مفيش غيرها
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, part) => (acc << 8) + Number(part), 0) >>> 0;
+}
+
+function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(ip)) {
+    const value = ipv4ToInt(ip);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return (value & mask) === (ipv4ToInt(base) & mask);
+    });
+  }
+
+  if (net.isIPv6(ip)) {
+    // ::ffff:127.0.0.1 وأخواتها
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // نفس الحكاية بس hex (الـ URL parser بيحوّل ::ffff:127.0.0.1 لـ ::ffff:7f00:1)
+    const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const high = Number.parseInt(mappedHex[1], 16);
+      const low = Number.parseInt(mappedHex[2], 16);
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return (
+      ip === '::' ||
+      ip === '::1' ||
+      /^f[cd]/.test(ip) || // fc00::/7 unique local
+      /^fe[89ab]/.test(ip) || // fe80::/10 link-local
+      /^ff/.test(ip) // multicast
+    );
+  }
+
+  return false;
+}
+
+function normalizeHosts(hosts = []) {
+  return hosts.map((host) => String(host).trim().toLowerCase()).filter(Boolean);
+}
+
+// api.example.com بيعدي لو example.com في الـ allowlist
+function isAllowlistedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return normalizeHosts(allowedHosts).some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function isValidCallbackUrl(value, { allowedHosts = [] } = {}) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+
+  // "localhost." بالنقطة في الآخر هو هو localhost
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (normalizeHosts(allowedHosts).length) return isAllowlistedHost(hostname, allowedHosts);
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) return false;
+  return !isPrivateAddress(hostname);
+}
+
+// الـ hostname ممكن يكون public وهو بيشاور على IP داخلي: بنتحقق من العنوان اللي هنتصل بيه فعلًا
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`callback host ${hostname} resolves to a private address (${blocked})`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// بيرجع { ok, attempts, status, error } ومابيرميش errors
+async function sendSignedCallback(
+  url,
+  payload,
+  { secret, timeoutMs = 10000, retries = 3, headers = {}, allowedHosts = [] }
+) {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+
+  if (!isValidCallbackUrl(url, { allowedHosts })) {
+    return { ok: false, attempts: 0, error: 'callback URL not allowed' };
+  }
+  // الـ hosts اللي الأدمن سمح بيها صراحة ممكن تكون داخلية
+  const restrictToPublic = !isAllowlistedHost(new URL(url).hostname, allowedHosts);
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature': `sha256=${signPayload(secret, timestamp, body)}`,
+          'X-Signature-Timestamp': timestamp,
+          ...headers
+        },
+        timeout: timeoutMs,
+        // redirect ممكن يودّي لعنوان داخلي
+        maxRedirects: 0,
+        ...(restrictToPublic && { httpAgent: publicHttpAgent, httpsAgent: publicHttpsAgent }),
+        // الرد نفسه مش مهم، المهم الـ status
+        transformResponse: (data) => data,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { ok: true, attempts: attempt, status: response.status };
+      }
+      lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    console.warn(`[WARN] callback ${url} attempt ${attempt}/${retries} failed: ${lastError}`);
+    if (attempt < retries) {
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+
+  return { ok: false, attempts: retries, error: lastError };
+}
+
+module.exports = {
+  signPayload,
+  isPrivateAddress,
+  isValidCallbackUrl,
+  sendSignedCallback
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const express = require('express');
+const { loadCannedResponse } = require('../lib/providers/mock');
+const { toChatCompletion } = require('../lib/providers/common');
+require('dotenv').config();
+
+/* =========================
+   Local OpenAI-compatible stand-in (offline / CI)
+========================= */
+// شغّله بـ: node mock/server.js
+// وبعدين: EXTRACTION_PROVIDER=mock MOCK_PROVIDER_BASE_URL=http://localhost:4010/v1 node server.js
+const app = express();
+const port = process.env.MOCK_SERVER_PORT || 4010;
+const responsesDir =
+  process.env.MOCK_RESPONSES_DIR || path.resolve(__dirname, 'responses');
+
+app.use(express.json({ limit: '50mb' }));
+
+app.post('/v1/chat/completions', (req, res) => {
+  const { model, task } = req.body || {};
+
+  res.status(200).json(
+    toChatCompletion({
+      content: loadCannedResponse(responsesDir, task),
+      model: model || 'mock',
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    })
+  );
+});
+
+app.get('/v1/models', (req, res) => {
+  res.status(200).json({ data: [{ id: 'mock/vision' }, { id: 'mock/text' }] });
+});
+
+// نفس شكل OpenRouter GET /key: عشان /ready يشتغل لو OPENROUTER_BASE_URL بيشاور هنا
+app.get('/v1/key', (req, res) => {
+  res.status(200).json({ data: { label: 'mock', usage: 0, limit: null } });
+});
+
+app.listen(port, () => {
+  console.log(`✅ Mock provider running on http://localhost:${port}/v1`);
+});
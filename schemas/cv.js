@@ -0,0 +1,149 @@
+const {
+  EDUCATION_VALUES,
+  EXPERIENCE_VALUES,
+  MARITAL_STATUS_VALUES,
+  RELIGION_VALUES,
+  LEVEL_VALUES,
+  formatAllowedList
+} = require('../lib/cvFields');
+const { listNationalities } = require('../lib/nationalities');
+const { MRZ_SCHEMA } = require('../lib/mrz');
+
+/* =========================
+   CV (السيرة الذاتية)
+========================= */
+const level = { type: 'enum', values: LEVEL_VALUES };
+
+module.exports = {
+  type: 'cv',
+  label: 'CV',
+  wrapper: 'jsonResponse',
+  aliases: ['gemini'],
+  defaultFilename: 'document.pdf',
+  max_tokens: 1200,
+  ruleExtractor: 'cv',
+  errorMessage: 'حدث خطأ أثناء معالجة الملف.',
+  classify: {
+    description: 'worker CV / biodata / application form (photo, skills, experience, languages, salary).',
+    keywords: ['curriculum vitae', 'cv', 'biodata', 'bio data', 'application form', 'experience', 'cooking', 'washing', 'ironing', 'cleaning', 'babysitting', 'salary', 'marital status', 'religion', 'education', 'السيرة الذاتية']
+  },
+  fields: {
+    Name: 'string',
+    Religion: { type: 'enum', values: RELIGION_VALUES },
+    Passportnumber: 'string',
+    ExperienceYears: 'string',
+    maritalstatus: { type: 'enum', values: MARITAL_STATUS_VALUES },
+    Experience: { type: 'enum', values: EXPERIENCE_VALUES },
+    dateofbirth: 'date',
+    Nationality: 'string',
+    job: 'string',
+    Education: { type: 'enum', values: EDUCATION_VALUES },
+    EnglishLanguageLevel: level,
+    ArabicLanguageLeveL: level,
+    SewingLevel: level,
+    weight: 'string',
+    height: 'string',
+    childrencount: 'string',
+    CleaningLevel: level,
+    CookingLevel: level,
+    WashingLevel: level,
+    IroningLevel: level,
+    ChildcareLevel: level,
+    ElderlycareLevel: level,
+    phone: 'string',
+    age: 'string',
+    officeName: 'string',
+    experienceType: 'string',
+    PassportStart: 'date',
+    PassportEnd: 'date',
+    Salary: 'string',
+    BabySitterLevel: level
+  },
+  extraProperties: { _mrz: MRZ_SCHEMA },
+  pii: ['Name', 'Passportnumber', 'dateofbirth', 'phone', '_mrz'],
+  prompt: {
+    document: 'Extract information from the document and return ONLY a valid flat JSON object.',
+    text: 'Extract information from the following text and return ONLY a valid flat JSON object.',
+    rules: `
+⚠️ STRICT RULES:
+- Return ONLY the keys listed below.
+- Do NOT add extra keys.
+- Do NOT change key names.
+- All values must be strings.
+- If a value is missing, return null.
+- Dates must be ISO format YYYY-MM-DD.
+- JSON only, no text, no markdown.
+- Use EXACTLY the values from the allowed lists below - do NOT translate or modify them.
+
+🧾 REQUIRED KEYS (ALL MUST EXIST):
+{
+  "Name": null,
+  "Religion": null,
+  "Passportnumber": null,
+  "ExperienceYears": null,
+  "maritalstatus": null,
+  "Experience": null,
+  "dateofbirth": null,
+  "Nationality": null,
+  "job": null,
+  "Education": null,
+  "EnglishLanguageLevel": null,
+  "ArabicLanguageLeveL": null,
+  "SewingLevel": null,
+  "weight": null,
+  "height": null,
+  "childrencount": null,
+  "CleaningLevel": null,
+  "CookingLevel": null,
+  "WashingLevel": null,
+  "IroningLevel": null,
+  "ChildcareLevel": null,
+  "ElderlycareLevel": null,
+  "phone": null,
+  "age": null,
+  "officeName": null,
+  "experienceType": null,
+  "PassportStart": null,
+  "PassportEnd": null,
+  "Salary": null,
+  "BabySitterLevel": null
+}
+
+🎯 ALLOWED VALUES (USE EXACTLY AS SHOWN - DO NOT MODIFY):
+
+📚 Education (Education field):
+${formatAllowedList(EDUCATION_VALUES)}
+
+💼 Experience (Experience field):
+${formatAllowedList(EXPERIENCE_VALUES)}
+
+📅 ExperienceYears (ExperienceYears field - based on Experience):
+- If Experience is "Novice | مدربة بدون خبرة" → "مدربة-Training"
+- If Experience is "Intermediate | مدربة بخبرة متوسطة" → "1-2 Years - سنوات"
+- If Experience is "Well-experienced | خبرة جيدة" → "3-4 Years - سنوات"
+- If Experience is "Expert | خبرة ممتازة" → "5 and More - وأكثر"
+
+👤 Marital Status (maritalstatus field):
+${formatAllowedList(MARITAL_STATUS_VALUES)}
+
+🕌 Religion (Religion field):
+${formatAllowedList(RELIGION_VALUES)}
+
+🌍 Language Levels (EnglishLanguageLevel, ArabicLanguageLeveL fields):
+${formatAllowedList(LEVEL_VALUES)}
+
+🛠️ Skills Levels (CookingLevel, WashingLevel, IroningLevel, CleaningLevel, SewingLevel, ChildcareLevel, ElderlycareLevel, BabySitterLevel):
+${formatAllowedList(LEVEL_VALUES)}
+
+🌐 Nationality (Nationality field):
+- Must match exactly from database format, one of:
+${formatAllowedList(listNationalities().map((n) => n.label))}
+- Keep the exact format as stored in the database
+`,
+    documentRules: `
+🛂 PASSPORT MRZ (the only exception to the key rules above):
+- If a passport machine-readable zone (two lines of 44 characters at the bottom of the passport data page) is visible, add ONE extra key "_mrz" with an array of the two lines copied character by character, using "<" for filler characters.
+- If no MRZ is visible, set "_mrz": null.
+`
+  }
+};
@@ -0,0 +1,66 @@
+const { MRZ_SCHEMA } = require('../lib/mrz');
+
+/* =========================
+   Passport data page
+========================= */
+module.exports = {
+  type: 'passport',
+  label: 'Passport',
+  wrapper: 'passport',
+  defaultFilename: 'passport.pdf',
+  max_tokens: 800,
+  ruleExtractor: 'passport',
+  errorMessage: 'حدث خطأ أثناء استخراج بيانات الجواز.',
+  classify: {
+    description: 'passport data page (photo page with MRZ lines at the bottom).',
+    keywords: ['passport', 'passeport', 'date of expiry', 'date of issue', 'place of birth', 'surname', 'given names', 'authority', 'جواز سفر']
+  },
+  fields: {
+    Name: 'string',
+    surname: 'string',
+    givenNames: 'string',
+    Passportnumber: 'string',
+    Nationality: 'string',
+    dateofbirth: 'date',
+    sex: { type: 'enum', values: ['F', 'M'] },
+    placeOfBirth: 'string',
+    PassportStart: 'date',
+    PassportEnd: 'date',
+    issuingCountry: 'string',
+    issuingAuthority: 'string'
+  },
+  extraProperties: { _mrz: MRZ_SCHEMA },
+  pii: ['Name', 'surname', 'givenNames', 'Passportnumber', 'dateofbirth', 'placeOfBirth', '_mrz'],
+  prompt: {
+    document: 'Extract the passport data page information from the image or PDF and return ONLY a valid flat JSON object.',
+    text: 'Extract passport data page information from the following text and return ONLY a valid flat JSON object.',
+    rules: `
+⚠️ STRICT RULES:
+- Return ONLY a valid flat JSON object with EXACTLY the keys listed below.
+- Do NOT add extra keys. Do NOT rename keys.
+- If a value is missing, use null.
+- JSON only, no markdown, no commentary.
+- Dates must be ISO format YYYY-MM-DD.
+- sex: "F" or "M" as printed.
+- Name: given names followed by surname, as printed on the data page.
+- _mrz: array of the two MRZ lines copied character by character ("<" for fillers), or null if not visible.
+
+🧾 REQUIRED KEYS (ALL MUST EXIST):
+{
+  "Name": null,
+  "surname": null,
+  "givenNames": null,
+  "Passportnumber": null,
+  "Nationality": null,
+  "dateofbirth": null,
+  "sex": null,
+  "placeOfBirth": null,
+  "PassportStart": null,
+  "PassportEnd": null,
+  "issuingCountry": null,
+  "issuingAuthority": null,
+  "_mrz": null
+}
+`
+  }
+};
@@ -0,0 +1,74 @@
+const { objectSchema } = require('../lib/modelJson');
+const { TICKET_SEGMENT_KEYS } = require('../lib/ticketSegments');
+
+/* =========================
+   Tickets (tickets_details)
+========================= */
+module.exports = {
+  type: 'tickets',
+  label: 'Flight ticket',
+  wrapper: 'tickets_details',
+  aliases: ['ticket', 'extractdatafromtickets'],
+  defaultFilename: 'ticket.pdf',
+  max_tokens: 1500,
+  ruleExtractor: 'tickets',
+  errorMessage: 'حدث خطأ أثناء استخراج بيانات التذكرة.',
+  classify: {
+    description: 'flight ticket, e-ticket receipt, itinerary or boarding pass.',
+    keywords: ['e ticket', 'eticket', 'boarding pass', 'itinerary', 'flight', 'pnr', 'booking reference', 'departure', 'arrival', 'gate', 'seat', 'baggage', 'airlines', 'تذكرة']
+  },
+  fields: {
+    ticketFile: 'string',
+    reference_id: 'string',
+    airlines: 'string',
+    flight_number: 'string',
+    departure_date: 'date',
+    departure_time: 'time',
+    arrival_date: 'date',
+    arrival_time: 'time',
+    departure_airport: 'string',
+    arrival_airport: 'string'
+  },
+  pii: ['reference_id'],
+  extraProperties: {
+    segments: { type: 'array', items: objectSchema(TICKET_SEGMENT_KEYS) }
+  },
+  prompt: {
+    document:
+      'Extract flight ticket or boarding pass information (including every connecting leg) from the image or PDF and return ONLY a valid JSON object.',
+    text:
+      'Extract flight ticket / boarding pass information (including every connecting leg) from the following text and return ONLY a valid JSON object.',
+    rules: `
+⚠️ STRICT RULES:
+- Return ONLY a valid flat JSON object with EXACTLY the keys listed below.
+- Do NOT add extra keys. Do NOT rename keys.
+- If a value is missing on the ticket, use null.
+- JSON only, no markdown, no commentary.
+- departure_date and arrival_date: ISO date YYYY-MM-DD when known, else null.
+- departure_time and arrival_time: 24-hour "HH:mm" local time as on ticket (e.g. "2:30 PM" -> "14:30"), else null.
+- reference_id: PNR / booking reference / ticket number if visible.
+- departure_airport and arrival_airport: IATA codes (3 letters) when possible, else full name.
+
+✈️ CONNECTIONS (the only exception to the flat rule):
+- Add ONE extra key "segments": an array with one object per flight leg, in travel order (e.g. EBB→ADD then ADD→RUH).
+- Each segment has EXACTLY these keys: ${TICKET_SEGMENT_KEYS.map((key) => `"${key}"`).join(', ')} (same formats as above, null when missing).
+- Direct flights still return "segments" with a single leg.
+- The flat keys describe the whole trip: departure_* from the FIRST leg, arrival_* from the LAST leg.
+
+🧾 REQUIRED KEYS (ALL MUST EXIST):
+{
+  "ticketFile": null,
+  "reference_id": null,
+  "airlines": null,
+  "flight_number": null,
+  "departure_date": null,
+  "departure_time": null,
+  "arrival_date": null,
+  "arrival_time": null,
+  "departure_airport": null,
+  "arrival_airport": null,
+  "segments": []
+}
+`
+  }
+};
@@ -1,14 +1,92 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const axios = require('axios');
 const pdfParse = require('pdf-parse');
 require('dotenv').config();
 
+const { recognizeImage, recognizeImages } = require('./lib/ocr');
+const { rasterizePdfPages } = require('./lib/pdfPages');
+const {
+  extractCvFieldsFromText,
+  extractTicketFieldsFromText,
+  extractPassportFieldsFromText
+} = require('./lib/ruleBasedExtractor');
+const { createProviderRegistry } = require('./lib/providers');
+const { extractProviderError, createProviderError } = require('./lib/providers/common');
+const { validateCvEnums } = require('./lib/cvFields');
+const { deriveCvFields } = require('./lib/cvDerivedFields');
+const {
+  listNationalities,
+  applyNationality
+} = require('./lib/nationalities');
+const { parseMrzFromText, crossCheckWithMrz } = require('./lib/mrz');
+const {
+  normalizeSegments,
+  segmentFromFlat,
+  backfillSegmentsFromFlat,
+  mergeSegmentsIntoFlat
+} = require('./lib/ticketSegments');
+const { validateTicketItinerary } = require('./lib/ticketValidation');
+const { sha256, promptVersion, buildCacheKey, createResultCache } = require('./lib/resultCache');
+const { createAdminAuth } = require('./lib/adminAuth');
+const { createJobQueue } = require('./lib/jobQueue');
+const { isValidCallbackUrl, sendSignedCallback } = require('./lib/webhooks');
+const { expandBatchUploads } = require('./lib/batchFiles');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { buildCsv, buildXlsx } = require('./lib/batchExport');
+const { createSchemaRegistry } = require('./lib/schemaRegistry');
+const {
+  UNKNOWN_TYPE,
+  buildClassificationPrompt,
+  buildClassificationResponseFormat,
+  parseClassification,
+  classifyByKeywords
+} = require('./lib/documentClassifier');
+const { buildEvidenceRules, withEvidenceFormat, buildFieldDetails } = require('./lib/fieldEvidence');
+const { mergeByMajority, pickBaseRun, sameVote } = require('./lib/consensus');
+const { REVIEW_STATUSES, createExtractionStore } = require('./lib/extractionStore');
+const { createExampleStore } = require('./lib/fewShotExamples');
+const { loadFixtures, runEvaluation, saveReport, listReports, readReport } = require('./lib/evaluation');
+const { createApiKeyStore, createApiKeyAuth } = require('./lib/apiKeys');
+const {
+  USAGE_GROUPS,
+  loadPriceTable,
+  withUsageTracking,
+  buildUsageCall,
+  summarizeUsage,
+  createUsageStore,
+  createRequestId
+} = require('./lib/usageAccounting');
+const { createLogger, createRequestIdMiddleware } = require('./lib/logger');
+const { createMetricsRegistry, withCallMetrics } = require('./lib/metrics');
+const { createCircuitBreaker } = require('./lib/circuitBreaker');
+
+/* =========================
+   Logging
+========================= */
+// info | warn | error. الـ debug (ردود الموديل الخام) مش level ثابت: بيتفتح مؤقتًا بس من POST /api/admin/debug
+const LOG_LEVEL = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+// json (سطر JSON لكل log) | text (للتشغيل المحلي)
+const LOG_FORMAT = String(process.env.LOG_FORMAT || 'json').toLowerCase();
+
+// أي console.log('[INFO] ...') في المشروع بيعدي من هنا (requestId + إخفاء الـ PII)
+const logger = createLogger({ level: LOG_LEVEL, format: LOG_FORMAT });
+logger.installConsole();
+if (LOG_LEVEL === 'debug') {
+  console.warn('[WARN] LOG_LEVEL=debug اتجاهل (info بدله): الـ debug بيتفتح لفترة محدودة من POST /api/admin/debug');
+}
+
 const app = express();
 const port = process.env.PORT || 4444;
 
-app.use(cors());
+// X-Request-Id: بيتاخد من الـ header أو بيتولد، وبيرجع في الـ response ومع كل سطر log
+app.use(createRequestIdMiddleware({ logger }));
+// عدد ومدة الطلبات لكل route (GET /metrics)
+app.use((req, res, next) => trackHttpMetrics(req, res, next));
+// الـ origins بتتحدد من مفاتيح الـ API (شوف corsOptionsDelegate)
+app.use(cors((req, callback) => corsOptionsDelegate(req, callback)));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -29,15 +107,31 @@ const upload = multer({
   }
 });
 
+// الـ batch: أي نوع بيعدي هنا، والملفات/ملفات الـ ZIP الغلط بتترجع كخطأ per-file
+const BATCH_MAX_FILES = Number.parseInt(process.env.BATCH_MAX_FILES || '100', 10);
+
+const batchUpload = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024, files: BATCH_MAX_FILES }
+});
+
 /* =========================
    Env
 ========================= */
+// openrouter | gemini | openai | documentai | mock (ممكن يتغير per request بـ provider)
+const EXTRACTION_PROVIDER = String(
+  process.env.EXTRACTION_PROVIDER || 'openrouter'
+).toLowerCase();
+
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-if (!OPENROUTER_API_KEY) {
+if (!OPENROUTER_API_KEY && EXTRACTION_PROVIDER === 'openrouter') {
   console.error('[ERROR] OPENROUTER_API_KEY غير موجود في ملف .env');
   process.exit(1);
 }
 
+const OPENROUTER_BASE_URL =
+  process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+
 const DEFAULT_TEXT_MODEL =
   process.env.OPENROUTER_TEXT_MODEL || 'google/gemini-2.5-flash';
 
@@ -50,178 +144,151 @@ const PDF_ENGINE =
 const ENABLE_MODEL_FALLBACKS =
   String(process.env.ENABLE_MODEL_FALLBACKS || 'true').toLowerCase() === 'true';
 
-/* =========================
-   Keys / Prompt Rules
-========================= */
-const ALLOWED_KEYS = [
-  'Name',
-  'Religion',
-  'Passportnumber',
-  'ExperienceYears',
-  'maritalstatus',
-  'Experience',
-  'dateofbirth',
-  'Nationality',
-  'job',
-  'Education',
-  'EnglishLanguageLevel',
-  'ArabicLanguageLeveL',
-  'SewingLevel',
-  'weight',
-  'height',
-  'childrencount',
-  'CleaningLevel',
-  'CookingLevel',
-  'WashingLevel',
-  'IroningLevel',
-  'ChildcareLevel',
-  'ElderlycareLevel',
-  'phone',
-  'age',
-  'officeName',
-  'experienceType',
-  'PassportStart',
-  'PassportEnd',
-  'Salary',
-  'BabySitterLevel'
-];
-
-const PROMPT_RULES = `
-⚠️ STRICT RULES:
-- Return ONLY the keys listed below.
-- Do NOT add extra keys.
-- Do NOT change key names.
-- All values must be strings.
-- If a value is missing, return null.
-- Dates must be ISO format YYYY-MM-DD.
-- JSON only, no text, no markdown.
-- Use EXACTLY the values from the allowed lists below - do NOT translate or modify them.
-
-🧾 REQUIRED KEYS (ALL MUST EXIST):
-{
-  "Name": null,
-  "Religion": null,
-  "Passportnumber": null,
-  "ExperienceYears": null,
-  "maritalstatus": null,
-  "Experience": null,
-  "dateofbirth": null,
-  "Nationality": null,
-  "job": null,
-  "Education": null,
-  "EnglishLanguageLevel": null,
-  "ArabicLanguageLeveL": null,
-  "SewingLevel": null,
-  "weight": null,
-  "height": null,
-  "childrencount": null,
-  "CleaningLevel": null,
-  "CookingLevel": null,
-  "WashingLevel": null,
-  "IroningLevel": null,
-  "ChildcareLevel": null,
-  "ElderlycareLevel": null,
-  "phone": null,
-  "age": null,
-  "officeName": null,
-  "experienceType": null,
-  "PassportStart": null,
-  "PassportEnd": null,
-  "Salary": null,
-  "BabySitterLevel": null
-}
-
-🎯 ALLOWED VALUES (USE EXACTLY AS SHOWN - DO NOT MODIFY):
-
-📚 Education (Education field):
-- "Diploma - دبلوم"
-- "High school - ثانوي"
-- "Illiterate - غير متعلم"
-- "Literate - القراءة والكتابة"
-- "Primary school - ابتدائي"
-- "University level - جامعي"
-
-💼 Experience (Experience field):
-- "Novice | مدربة بدون خبرة"
-- "Intermediate | مدربة بخبرة متوسطة"
-- "Well-experienced | خبرة جيدة"
-- "Expert | خبرة ممتازة"
-
-📅 ExperienceYears (ExperienceYears field - based on Experience):
-- If Experience is "Novice | مدربة بدون خبرة" → "مدربة-Training"
-- If Experience is "Intermediate | مدربة بخبرة متوسطة" → "1-2 Years - سنوات"
-- If Experience is "Well-experienced | خبرة جيدة" → "3-4 Years - سنوات"
-- If Experience is "Expert | خبرة ممتازة" → "5 and More - وأكثر"
-
-👤 Marital Status (maritalstatus field):
-- "Single - عازبة"
-- "Married - متزوجة"
-- "Divorced - مطلقة"
-
-🕌 Religion (Religion field):
-- "Islam - الإسلام"
-- "Non-Muslim - غير مسلم"
-
-🌍 Language Levels (EnglishLanguageLevel, ArabicLanguageLeveL fields):
-- "Expert - ممتاز"
-- "Advanced - جيد جداً"
-- "Intermediate - جيد"
-- "Beginner - مبتدأ"
-- "Non - لا تجيد"
-
-🛠️ Skills Levels (CookingLevel, WashingLevel, IroningLevel, CleaningLevel, SewingLevel, ChildcareLevel, ElderlycareLevel, BabySitterLevel):
-- "Expert - ممتاز"
-- "Advanced - جيد جداً"
-- "Intermediate - جيد"
-- "Beginner - مبتدأ"
-- "Non - لا تجيد"
-
-🌐 Nationality (Nationality field):
-- Must match exactly from database format (e.g., "Uganda - أوغندا", "Ethiopia - إثيوبيا", "Kenya - كينيا", "Bengladesh - بنغلادش", "Philippines - الفلبين")
-- Keep the exact format as stored in the database
-`;
+// PDF على OpenRouter: كام فشل ورا بعض يقفل الـ circuit (للموديل كله أو لموديل + keyStyle)، وبعد قد إيه نجربه تاني
+const PDF_CIRCUIT_FAILURE_THRESHOLD = Number.parseInt(process.env.PDF_CIRCUIT_FAILURE_THRESHOLD || '3', 10);
+const PDF_CIRCUIT_COOLDOWN_SECONDS = Number.parseInt(process.env.PDF_CIRCUIT_COOLDOWN_SECONDS || '60', 10);
+
+// OCR محلي (عربي + إنجليزي) لما الـ provider يفشل أو الـ PDF ممسوح ضوئيًا
+const ENABLE_LOCAL_OCR_FALLBACK =
+  String(process.env.ENABLE_LOCAL_OCR_FALLBACK || 'true').toLowerCase() === 'true';
+
+const OCR_PDF_MAX_PAGES = Number.parseInt(process.env.OCR_PDF_MAX_PAGES || '3', 10);
+const OCR_PDF_DENSITY = Number.parseInt(process.env.OCR_PDF_DENSITY || '200', 10);
+
+// لما file-parser يفشل: نحوّل أول N صفحة لـ PNG ونبعتهم في vision call واحدة
+const ENABLE_PDF_RASTER_FALLBACK =
+  String(process.env.ENABLE_PDF_RASTER_FALLBACK || 'true').toLowerCase() === 'true';
+
+// OCR محلي على صورة الجواز لو الموديل ما رجعش الـ MRZ (أبطأ، مقفول افتراضيًا)
+const ENABLE_MRZ_LOCAL_OCR =
+  String(process.env.ENABLE_MRZ_LOCAL_OCR || 'false').toLowerCase() === 'true';
+
+const PDF_RASTER_MAX_PAGES = Number.parseInt(process.env.PDF_RASTER_MAX_PAGES || '3', 10);
+const PDF_RASTER_DPI = Number.parseInt(process.env.PDF_RASTER_DPI || '150', 10);
+
+// نفس الملف + نفس النوع والموديل والـ prompt = نفس النتيجة من غير ما ندفع تاني
+// memory | file | sqlite | off
+const RESULT_CACHE_BACKEND = String(process.env.RESULT_CACHE_BACKEND || 'memory').toLowerCase();
+const RESULT_CACHE_TTL_SECONDS = Number.parseInt(
+  process.env.RESULT_CACHE_TTL_SECONDS || String(7 * 24 * 60 * 60),
+  10
+);
+const RESULT_CACHE_MAX_ENTRIES = Number.parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || '500', 10);
+const RESULT_CACHE_DIR = process.env.RESULT_CACHE_DIR || path.resolve(__dirname, '.cache', 'results');
+const RESULT_CACHE_SQLITE_PATH =
+  process.env.RESULT_CACHE_SQLITE_PATH || path.resolve(__dirname, '.cache', 'results.sqlite');
+
+// الموديلات اللي بنبعتلها response_format (JSON schema)، بالمقارنة مع أول اسم الموديل
+const STRUCTURED_OUTPUT_MODELS = String(
+  process.env.STRUCTURED_OUTPUT_MODELS || 'gemini-,gpt-4o,gpt-4.1,gpt-5'
+)
+  .split(',')
+  .map((pattern) => pattern.trim())
+  .filter(Boolean);
+
+// لو الـ JSON فضل بايظ بعد التصليح المحلي: نسأل الموديل مرة واحدة تاني ومعاه رسالة الخطأ
+const ENABLE_JSON_REASK =
+  String(process.env.ENABLE_JSON_REASK || 'true').toLowerCase() === 'true';
+
+// Async jobs (POST /api/jobs): عدد الـ jobs اللي بتشتغل في نفس الوقت وحد الطابور
+const JOB_CONCURRENCY = Number.parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const JOB_MAX_QUEUED = Number.parseInt(process.env.JOB_MAX_QUEUED || '100', 10);
+const JOB_RETENTION_SECONDS = Number.parseInt(process.env.JOB_RETENTION_SECONDS || String(24 * 60 * 60), 10);
+// السر اللي بنوقّع بيه الـ callback (HMAC-SHA256)، من غيره callbackUrl مرفوض
+const JOB_CALLBACK_SECRET = process.env.JOB_CALLBACK_SECRET || '';
+const JOB_CALLBACK_TIMEOUT_MS = Number.parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS || '10000', 10);
+// hosts مسموح بيها للـ callback (example.com بتشمل الـ subdomains). فاضي = أي host public،
+// والعناوين الداخلية (localhost / 10.x / 192.168.x / 169.254.x ...) مرفوضة دايمًا إلا لو متحددة هنا
+const JOB_CALLBACK_ALLOWED_HOSTS = String(process.env.JOB_CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim())
+  .filter(Boolean);
+
+// Batch CVs (POST /api/gemini/batch): كام ملف بيتعالج في نفس الوقت وأقصى حجم بعد فك الـ ZIP
+const BATCH_CONCURRENCY = Number.parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const BATCH_MAX_UNZIPPED_MB = Number.parseInt(process.env.BATCH_MAX_UNZIPPED_MB || '500', 10);
+
+// تعريفات أنواع المستندات (schemas/*.js و *.json) بتتحمل مرة واحدة وقت التشغيل
+const SCHEMAS_DIR = process.env.SCHEMAS_DIR || path.resolve(__dirname, 'schemas');
+
+// /process-document: موديل التصنيف (فاضي = الـ vision model بتاع الـ provider) وأقل ثقة نقبلها قبل الاستخراج
+const CLASSIFY_MODEL = process.env.CLASSIFY_MODEL || '';
+const CLASSIFY_MIN_CONFIDENCE = Number.parseFloat(process.env.CLASSIFY_MIN_CONFIDENCE || '0.6');
+
+// ?detail=1: الحقول اللي ثقتها أقل من كده بتترجع في detail.lowConfidence
+const DETAIL_LOW_CONFIDENCE = Number.parseFloat(process.env.DETAIL_LOW_CONFIDENCE || '0.7');
+
+// ?consensus=1: الموديلات اللي بتتشغل مع بعض (2-3). فاضي = الموديل الأساسي + الـ fallbacks بتوعه
+const CONSENSUS_MODELS = String(process.env.CONSENSUS_MODELS || '')
+  .split(',')
+  .map((m) => m.trim())
+  .filter(Boolean);
+
+// كل استخراج بيتسجل هنا للمراجعة (false = مقفول)
+const EXTRACTION_STORE_ENABLED =
+  String(process.env.EXTRACTION_STORE_ENABLED || 'true').toLowerCase() === 'true';
+const EXTRACTION_STORE_PATH =
+  process.env.EXTRACTION_STORE_PATH || path.resolve(__dirname, '.data', 'extractions.sqlite');
+
+// أمثلة few-shot (لكل نوع / مكتب) بتتضاف للـ prompt. FEW_SHOT_MAX_EXAMPLES=0 = من غير أمثلة
+const FEW_SHOT_ENABLED = String(process.env.FEW_SHOT_ENABLED || 'true').toLowerCase() === 'true';
+const FEW_SHOT_STORE_PATH =
+  process.env.FEW_SHOT_STORE_PATH || path.resolve(__dirname, '.data', 'examples.sqlite');
+const FEW_SHOT_MAX_EXAMPLES = Number.parseInt(process.env.FEW_SHOT_MAX_EXAMPLES || '3', 10);
+const FEW_SHOT_MAX_INPUT_CHARS = Number.parseInt(process.env.FEW_SHOT_MAX_INPUT_CHARS || '2000', 10);
+
+// التقييم (npm run eval / POST /api/admin/eval): fixtures متعلمة، نسخ prompts بديلة (كل نسخة = فولدر schemas)، والتقارير
+const EVAL_FIXTURES_DIR = process.env.EVAL_FIXTURES_DIR || path.resolve(__dirname, 'eval', 'fixtures');
+const EVAL_PROMPTS_DIR = process.env.EVAL_PROMPTS_DIR || path.resolve(__dirname, 'eval', 'prompts');
+const EVAL_REPORTS_DIR = process.env.EVAL_REPORTS_DIR || path.resolve(__dirname, '.data', 'eval-reports');
+const EVAL_CONCURRENCY = Number.parseInt(process.env.EVAL_CONCURRENCY || '1', 10);
+
+// مفاتيح العملاء (لكل مكتب): false = مسارات الاستخراج مفتوحة زي الأول
+const API_KEYS_ENABLED = String(process.env.API_KEYS_ENABLED || 'false').toLowerCase() === 'true';
+const API_KEYS_STORE_PATH =
+  process.env.API_KEYS_STORE_PATH || path.resolve(__dirname, '.data', 'api-keys.sqlite');
+const API_KEY_DEFAULT_RPM = Number.parseInt(process.env.API_KEY_DEFAULT_RPM || '60', 10);
+// 0 = من غير حد شهري
+const API_KEY_DEFAULT_MONTHLY_QUOTA = Number.parseInt(process.env.API_KEY_DEFAULT_MONTHLY_QUOTA || '0', 10);
+// origins مسموحة دايمًا (لوحة التحكم مثلًا) غير اللي في المفاتيح
+const CORS_ORIGINS = String(process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// tokens وتكلفة كل call (GET /api/usage). الأسعار بالـ USD لكل مليون token
+const USAGE_TRACKING_ENABLED = String(process.env.USAGE_TRACKING_ENABLED || 'true').toLowerCase() === 'true';
+const USAGE_STORE_PATH = process.env.USAGE_STORE_PATH || path.resolve(__dirname, '.data', 'usage.sqlite');
+const MODEL_PRICES_FILE = process.env.MODEL_PRICES_FILE || path.resolve(__dirname, 'data', 'model-prices.json');
+
+// GET /metrics (Prometheus). METRICS_TOKEN فاضي = مفتوح (عادة بيتقفل على مستوى الشبكة)
+const METRICS_ENABLED = String(process.env.METRICS_ENABLED || 'true').toLowerCase() === 'true';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// GET /ready: مهلة الـ ping للـ provider، ومدة حفظ النتيجة (الـ orchestrator بيسأل كل كام ثانية)
+const READY_CHECK_TIMEOUT_MS = Number.parseInt(process.env.READY_CHECK_TIMEOUT_MS || '5000', 10);
+const READY_CACHE_SECONDS = Number.parseInt(process.env.READY_CACHE_SECONDS || '15', 10);
+// كام call فاشلة ورا بعض (auth / 5xx / timeout) تخلي الـ instance مش ready. 0 = من غير الشرط ده
+const READY_MAX_CONSECUTIVE_FAILURES = Number.parseInt(process.env.READY_MAX_CONSECUTIVE_FAILURES || '5', 10);
+
+// مسارات /api/admin/* مقفولة لو مش مضبوط
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 
 /* =========================
-   Tickets (tickets_details) extraction
+   Document schemas
 ========================= */
-const TICKETS_DETAILS_KEYS = [
-  'ticketFile',
-  'reference_id',
-  'airlines',
-  'flight_number',
-  'departure_date',
-  'departure_time',
-  'arrival_date',
-  'arrival_time',
-  'departure_airport',
-  'arrival_airport'
-];
-
-const PROMPT_RULES_TICKETS = `
-⚠️ STRICT RULES:
-- Return ONLY a valid flat JSON object with EXACTLY the keys listed below.
-- Do NOT add extra keys. Do NOT rename keys.
-- If a value is missing on the ticket, use null.
-- JSON only, no markdown, no commentary.
-- departure_date and arrival_date: ISO date YYYY-MM-DD when known, else null.
-- departure_time and arrival_time: string as on ticket (e.g. "14:30" or "2:30 PM"), else null.
-- reference_id: PNR / booking reference / ticket number if visible.
-- departure_airport and arrival_airport: IATA codes (3 letters) when possible, else full name.
-
-🧾 REQUIRED KEYS (ALL MUST EXIST):
-{
-  "ticketFile": null,
-  "reference_id": null,
-  "airlines": null,
-  "flight_number": null,
-  "departure_date": null,
-  "departure_time": null,
-  "arrival_date": null,
-  "arrival_time": null,
-  "departure_airport": null,
-  "arrival_airport": null
-}
-`;
+// الـ keys والـ prompt والـ response_format لكل نوع جاية من schemas/ (شوف lib/schemaRegistry.js)
+const schemaRegistry = createSchemaRegistry({ dir: SCHEMAS_DIR });
+
+// حقول الـ pii في كل schema بتتخبى في الـ logs
+logger.addRedactKeys(schemaRegistry.list().flatMap((schema) => schema.piiKeys));
+
+// schema.ruleExtractor بيشاور على واحد من دول (الـ fallback لو مفيش موديل)
+const RULE_EXTRACTORS = {
+  cv: extractCvFieldsFromText,
+  tickets: extractTicketFieldsFromText,
+  passport: extractPassportFieldsFromText
+};
 
 /* =========================
    Model Normalization
@@ -272,44 +339,212 @@ function getPdfModelCandidates(primaryModel) {
 }
 
 /* =========================
-   Prompt Builders
+   Providers
 ========================= */
-function buildTextPrompt(text) {
-  return `
-Extract information from the following text and return ONLY a valid flat JSON object.
+const providers = createProviderRegistry({
+  defaultProvider: EXTRACTION_PROVIDER,
+  openrouter: {
+    apiKey: OPENROUTER_API_KEY,
+    baseUrl: OPENROUTER_BASE_URL,
+    defaultTextModel: DEFAULT_TEXT_MODEL,
+    defaultVisionModel: DEFAULT_VISION_MODEL,
+    enableModelFallbacks: ENABLE_MODEL_FALLBACKS,
+    buildFallbackModels,
+    getPdfModelCandidates,
+    circuitBreaker: createCircuitBreaker({
+      failureThreshold: PDF_CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs: PDF_CIRCUIT_COOLDOWN_SECONDS * 1000
+    })
+  },
+  structuredOutputModels: STRUCTURED_OUTPUT_MODELS
+});
+
+// كل provider بيرجع من هنا متغلف بـ usage tracking: الـ calls بتتجمع في req.usageCalls وبتتسجل في الـ usage store
+function resolveProvider(req) {
+  const provider = providers.getProvider(
+    req.body?.provider || req.query?.provider || EXTRACTION_PROVIDER
+  );
 
-${PROMPT_RULES}
+  req.usageCalls = req.usageCalls || [];
+  req.usageRequestId = req.usageRequestId || req.id || createRequestId();
 
-Text: "${text}"
-  `.trim();
+  const measured = withCallMetrics(provider, (result) => observeModelCall(provider.name, result));
+
+  return withUsageTracking(measured, ({ task, requestedModel, data }) => {
+    const call = buildUsageCall({ table: modelPrices, provider: provider.name, task, requestedModel, data });
+    req.usageCalls.push(call);
+    if (call.fallback) {
+      modelFallbacks.inc({
+        provider: provider.name,
+        requested_model: call.requestedModel,
+        served_model: call.servedModel
+      });
+    }
+
+    try {
+      usageStore.record({
+        requestId: req.usageRequestId,
+        route: req.usageRoute || req.route?.path,
+        officeName: resolveOfficeName(req),
+        apiKeyId: req.apiKey?.id,
+        call
+      });
+    } catch (storeError) {
+      console.warn('[WARN] usage store write failed:', storeError.message);
+    }
+  });
 }
 
-function buildDocumentPrompt() {
-  return `
-Extract information from the document and return ONLY a valid flat JSON object.
+function requestUsage(req) {
+  return summarizeUsage(req.usageCalls, modelPrices.currency);
+}
 
-${PROMPT_RULES}
-  `.trim();
+// نسخة من الطلب للشغل اللي بيكمل بعد الـ response (jobs) أو لكل ملف في الـ batch:
+// بتحتفظ بالمفتاح والـ route عشان الـ usage يتحسب على نفس المكتب
+function deriveRequest(req, file) {
+  return {
+    file,
+    body: { ...req.body, officeName: resolveOfficeName(req) || undefined },
+    query: { ...req.query },
+    apiKey: req.apiKey,
+    id: req.id,
+    usageRoute: req.usageRoute || req.route?.path
+  };
 }
 
-function buildTicketTextPrompt(text) {
-  return `
-Extract flight ticket / boarding pass information from the following text and return ONLY a valid flat JSON object.
+/* =========================
+   Result cache + admin
+========================= */
+const resultCache = createResultCache({
+  backend: RESULT_CACHE_BACKEND,
+  ttlSeconds: RESULT_CACHE_TTL_SECONDS,
+  maxEntries: RESULT_CACHE_MAX_ENTRIES,
+  dir: RESULT_CACHE_DIR,
+  sqlitePath: RESULT_CACHE_SQLITE_PATH
+});
 
-${PROMPT_RULES_TICKETS}
+const requireAdmin = createAdminAuth({ token: ADMIN_TOKEN });
 
-Text: "${text}"
-  `.trim();
+const extractionStore = createExtractionStore({
+  enabled: EXTRACTION_STORE_ENABLED,
+  sqlitePath: EXTRACTION_STORE_PATH
+});
+
+const apiKeyStore = createApiKeyStore({ sqlitePath: API_KEYS_STORE_PATH });
+const apiKeyAuth = createApiKeyAuth({ enabled: API_KEYS_ENABLED, store: apiKeyStore });
+const requireApiKey = apiKeyAuth.requireApiKey;
+const corsOptionsDelegate = apiKeyAuth.corsOptions(CORS_ORIGINS);
+
+if (!API_KEYS_ENABLED) {
+  console.warn('[WARN] API_KEYS_ENABLED=false: extraction routes are open without API keys');
 }
 
-function buildTicketDocumentPrompt() {
-  return `
-Extract flight ticket or boarding pass information from the image or PDF and return ONLY a valid flat JSON object.
+const modelPrices = loadPriceTable(MODEL_PRICES_FILE);
+const usageStore = createUsageStore({ enabled: USAGE_TRACKING_ENABLED, sqlitePath: USAGE_STORE_PATH });
 
-${PROMPT_RULES_TICKETS}
-  `.trim();
+const exampleStore = createExampleStore({
+  enabled: FEW_SHOT_ENABLED,
+  sqlitePath: FEW_SHOT_STORE_PATH
+});
+
+/* =========================
+   Metrics
+========================= */
+const metrics = createMetricsRegistry();
+
+const httpRequests = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status.',
+  labels: ['method', 'route', 'status']
+});
+const httpDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route.',
+  labels: ['method', 'route']
+});
+const modelCalls = metrics.counter({
+  name: 'model_calls_total',
+  help: 'Model calls by provider, requested model and outcome.',
+  labels: ['provider', 'task', 'model', 'outcome']
+});
+const modelDuration = metrics.histogram({
+  name: 'model_call_duration_seconds',
+  help: 'Model call latency by provider and requested model.',
+  labels: ['provider', 'model']
+});
+const modelFallbacks = metrics.counter({
+  name: 'model_fallbacks_total',
+  help: 'Calls answered by a different model than requested (OpenRouter fallbacks).',
+  labels: ['provider', 'requested_model', 'served_model']
+});
+const providerErrors = metrics.counter({
+  name: 'provider_errors_total',
+  help: 'Provider errors by HTTP status and error code.',
+  labels: ['provider', 'status', 'code']
+});
+const extractionPaths = metrics.counter({
+  name: 'extraction_path_total',
+  help: 'Extractions by path (vision-pdf, pdf-text+model, pdf-pages, ...+rules, cache).',
+  labels: ['task', 'path']
+});
+const jsonParseFailures = metrics.counter({
+  name: 'json_parse_failures_total',
+  help: 'Model replies that were not valid JSON (stage: local_repair = before re-ask, reask = final).',
+  labels: ['task', 'stage']
+});
+
+// الـ route المتسجل (/api/extract/:type) مش الـ URL نفسه، عشان الـ labels ما تكترش
+function trackHttpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route?.path || 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+}
+
+// الأخطاء اللي معناها إن الـ provider نفسه واقع (مش الملف): auth / rate limit / 5xx / network
+function isProviderFault(status) {
+  return !status || status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+// آخر نتيجة لكل provider (لـ /ready): عدد الفشل ورا بعض من غير ولا نجاح
+const providerHealth = new Map();
+
+function observeModelCall(providerName, { task, requestedModel, error, seconds }) {
+  const model = requestedModel || 'default';
+  const health = providerHealth.get(providerName) || { consecutiveFailures: 0 };
+  modelDuration.observe({ provider: providerName, model }, seconds);
+
+  if (!error) {
+    modelCalls.inc({ provider: providerName, task: task || '', model, outcome: 'success' });
+    providerHealth.set(providerName, { consecutiveFailures: 0, lastSuccessAt: new Date().toISOString() });
+    return;
+  }
+
+  const details = extractProviderError(error);
+  modelCalls.inc({ provider: providerName, task: task || '', model, outcome: 'error' });
+  providerErrors.inc({ provider: providerName, status: details.status || 'none', code: details.code || '' });
+
+  if (isProviderFault(details.status)) {
+    providerHealth.set(providerName, {
+      ...health,
+      consecutiveFailures: health.consecutiveFailures + 1,
+      lastFailureAt: new Date().toISOString(),
+      lastError: details.message
+    });
+  }
+}
+
+function isTruthyFlag(value) {
+  return ['1', 'true', 'yes'].includes(String(value ?? '').toLowerCase());
 }
 
+/* =========================
+   PDF text fallback
+========================= */
 async function extractPdfTextForFallback(pdfBuffer) {
   const parsed = await pdfParse(pdfBuffer);
   const text = String(parsed?.text || '').replace(/\s+/g, ' ').trim();
@@ -324,7 +559,7 @@ function extractAssistantText(data) {
   const message = data?.choices?.[0]?.message;
 
   if (!message) {
-    throw new Error('OpenRouter response did not contain a message');
+    throw new Error('Provider response did not contain a message');
   }
 
   if (typeof message.content === 'string') {
@@ -342,633 +577,2386 @@ function extractAssistantText(data) {
       .trim();
   }
 
-  throw new Error('Unsupported OpenRouter response format');
-}
-
-function normalizeFlatJson(rawText) {
-  const cleanedText = String(rawText || '')
-    .replace(/```json\s*|\s*```/g, '')
-    .trim();
-
-  const parsed = JSON.parse(cleanedText);
-
-  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
-    throw new Error('Response is not a valid flat JSON object');
-  }
-
-  const finalResponse = {};
-  for (const key of ALLOWED_KEYS) {
-    const value = parsed[key];
-    if (value === undefined || value === null) {
-      finalResponse[key] = null;
-    } else if (typeof value === 'object') {
-      finalResponse[key] = JSON.stringify(value);
-    } else {
-      finalResponse[key] = String(value);
-    }
-  }
-
-  return {
-    cleanedText,
-    finalResponse
-  };
+  throw new Error('Unsupported provider response format');
 }
 
+// الـ flat keys من الـ schema، والـ segments بتتبني منها لو الموديل ما رجعهاش
 function normalizeTicketsDetailsJson(rawText) {
-  const cleanedText = String(rawText || '')
-    .replace(/```json\s*|\s*```/g, '')
-    .trim();
+  const { parsed, values: extracted, repairs } = schemaRegistry.get('tickets').normalize(rawText);
 
-  const parsed = JSON.parse(cleanedText);
-
-  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
-    throw new Error('Response is not a valid flat JSON object');
-  }
-
-  const extracted = {};
-  for (const key of TICKETS_DETAILS_KEYS) {
-    const value = parsed[key];
-    if (value === undefined || value === null) {
-      extracted[key] = null;
-    } else if (typeof value === 'object') {
-      extracted[key] = JSON.stringify(value);
-    } else {
-      extracted[key] = String(value);
-    }
-  }
+  const fromModel = normalizeSegments(parsed.segments);
+  const segments = fromModel.length
+    ? backfillSegmentsFromFlat(fromModel, extracted)
+    : segmentFromFlat(extracted);
 
   const tickets_details = {
     id: null,
     order_id: null,
     createdAt: null,
     updatedAt: null,
-    ...extracted
+    ...mergeSegmentsIntoFlat(extracted, segments)
   };
 
-  return { cleanedText, tickets_details };
+  return { parsed, tickets_details, segments, repairs };
 }
 
-function extractOpenRouterError(err) {
-  const payload = err?.response?.data || {};
-  const inner = payload?.error || {};
-
-  return {
-    status: err?.response?.status,
-    message: inner?.message || err.message,
-    code: inner?.code,
-    metadata: inner?.metadata || null,
-    raw: payload
-  };
-}
+// الـ MRZ من رد الموديل (_mrz) أولًا، وبعدين من النص المحلي (pdf-parse / OCR / /prompt)
+async function detectMrz({ parsed, sourceText, file }) {
+  const modelMrz = parsed?._mrz;
+  if (modelMrz) {
+    const mrz = parseMrzFromText(modelMrz);
+    if (mrz) return { ...mrz, source: 'model' };
+  }
 
-function logSafePayload(payload) {
-  const safePayload = JSON.parse(JSON.stringify(payload));
+  if (sourceText) {
+    const mrz = parseMrzFromText(sourceText);
+    if (mrz) return { ...mrz, source: 'text' };
+  }
 
-  const content = safePayload?.messages?.[0]?.content;
-  if (Array.isArray(content)) {
-    for (const item of content) {
-      if (item?.type === 'file' && item?.file?.file_data) {
-        item.file.file_data =
-          `[DATA_URL_PRESENT len=${item.file.file_data.length}] prefix=${item.file.file_data.slice(0, 30)}`;
-      }
-      if (item?.type === 'file' && item?.file?.fileData) {
-        item.file.fileData =
-          `[DATA_URL_PRESENT len=${item.file.fileData.length}] prefix=${item.file.fileData.slice(0, 30)}`;
-      }
-      if (item?.type === 'image_url' && item?.image_url?.url) {
-        item.image_url.url = '[BASE64_IMAGE_OMITTED]';
-      }
-    }
+  if (ENABLE_MRZ_LOCAL_OCR && file && file.mimetype !== 'application/pdf') {
+    const ocrText = await recognizeImage(file.buffer).catch((ocrError) => {
+      console.error('[ERROR] MRZ local OCR failed:', ocrError.message);
+      return '';
+    });
+    const mrz = parseMrzFromText(ocrText);
+    if (mrz) return { ...mrz, source: 'ocr' };
   }
 
-  console.log('[DEBUG] OpenRouter payload (safe):');
-  console.log(JSON.stringify(safePayload, null, 2));
+  return null;
 }
 
-function isMissingFileDataError(error) {
-  const details = extractOpenRouterError(error);
-  const message = String(details.message || '').toLowerCase();
-  return message.includes('file data is missing');
+// بعد الـ normalize: تصحيح القيم المسموحة + الجنسية، ثم الـ MRZ، وبعدين الحقول المشتقة
+function postprocessCvFields(finalResponse, mrz = null) {
+  const enums = validateCvEnums(finalResponse);
+  const nationality = applyNationality(enums.values, enums.report);
+  const mrzChecked = crossCheckWithMrz(nationality.values, mrz);
+  const derived = deriveCvFields(mrzChecked.values);
+
+  return {
+    values: derived.values,
+    validation: nationality.report,
+    warnings: [...mrzChecked.warnings, ...derived.warnings],
+    mrz: mrz ? { ...mrz, applied: mrzChecked.applied } : null
+  };
 }
 
 /* =========================
-   OpenRouter Call
+   Extraction Pipeline (model -> local fallbacks)
 ========================= */
-async function callOpenRouter({
-  model,
-  messages,
-  plugins,
-  temperature = 0,
-  max_tokens = 1200,
-  useFallbackModels = true
-}) {
-  const payload = {
-    model,
-    messages,
-    temperature,
-    max_tokens,
-    stream: false
-  };
-
-  if (plugins?.length) {
-    payload.plugins = plugins;
-  }
-
-  if (ENABLE_MODEL_FALLBACKS && useFallbackModels) {
-    payload.models = buildFallbackModels(model);
-  }
-
-  logSafePayload(payload);
-
-  const response = await axios.post(
-    'https://openrouter.ai/api/v1/chat/completions',
-    payload,
-    {
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.APP_URL || 'http://localhost:4444',
-        'X-Title': process.env.APP_NAME || 'Document Extractor'
-      },
-      timeout: 180000
-    }
-  );
+function clampInt(value, fallback, min, max) {
+  const n = parseOptionalInt(value);
+  if (n === null) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
 
-  return response.data;
+// حدود الـ rasterization: من الـ env، وممكن الطلب يغيرها (pdfPages / pdfDpi) في حدود معقولة
+function resolveRasterOptions(body = {}) {
+  return {
+    maxPages: clampInt(body.pdfPages, PDF_RASTER_MAX_PAGES, 1, 10),
+    density: clampInt(body.pdfDpi, PDF_RASTER_DPI, 72, 300)
+  };
 }
 
-function buildPdfMessages(prompt, filename, pdfDataUrl, dataKeyStyle = 'snake') {
-  const fileObject =
-    dataKeyStyle === 'camel'
-      ? {
-          filename,
-          fileData: pdfDataUrl
-        }
-      : {
-          filename,
-          file_data: pdfDataUrl
-        };
+async function ocrPageImages(pages) {
+  const texts = await recognizeImages(pages.map((p) => p.buffer));
+  return texts.join('\n').slice(0, 20000);
+}
 
+function buildImagesMessages(prompt, imageDataUrls) {
   return [
     {
       role: 'user',
       content: [
         { type: 'text', text: prompt },
-        {
-          type: 'file',
-          file: fileObject
-        }
+        ...imageDataUrls.map((url) => ({
+          type: 'image_url',
+          image_url: {
+            url
+          }
+        }))
       ]
     }
   ];
 }
 
-async function callOpenRouterForPdf({
-  primaryModel,
+async function completeFromLocalText({
+  provider,
+  task,
+  text,
+  source,
+  buildTextPromptFn,
+  ruleExtractor,
+  max_tokens,
+  responseFormat,
+  skipModel = false,
+  useFallbackModels = true
+}) {
+  if (!skipModel) {
+    try {
+      const data = await provider.chat({
+        model: normalizeModelName(provider.defaultTextModel, provider.defaultTextModel),
+        task,
+        messages: [
+          {
+            role: 'user',
+            content: buildTextPromptFn(text)
+          }
+        ],
+        useFallbackModels,
+        temperature: 0,
+        max_tokens,
+        responseFormat
+      });
+
+      return { data, extractionPath: `${source}+model`, sourceText: text };
+    } catch (modelError) {
+      // أنواع الـ schemas الجديدة ممكن ما يكونش ليها rule extractor
+      if (!ENABLE_LOCAL_OCR_FALLBACK || !ruleExtractor) {
+        throw modelError;
+      }
+
+      console.warn(
+        `[WARN] text model unreachable (${extractProviderError(modelError).message}), using rule-based extraction`
+      );
+    }
+  }
+
+  if (!ruleExtractor) {
+    throw new Error('لا يوجد استخراج محلي لهذا النوع من المستندات.');
+  }
+
+  return {
+    rawText: JSON.stringify(ruleExtractor(text)),
+    extractionPath: `${source}+rules`,
+    sourceText: text
+  };
+}
+
+// ترتيب الـ fallbacks للـ PDF بعد فشل رفع الملف نفسه:
+//   1) نص pdf-parse -> text model
+//   2) صور الصفحات (أول N صفحة) -> vision call واحدة
+//   3) OCR محلي -> text model، ولو مفيش موديل -> rules
+async function extractPdfWithFallbacks({
+  provider,
+  task,
+  file,
+  modelName,
   prompt,
-  filename,
-  pdfDataUrl,
-  plugins,
-  temperature = 0,
-  max_tokens = 1200
+  buildTextPromptFn,
+  ruleExtractor,
+  max_tokens,
+  responseFormat,
+  rasterOptions,
+  pdfUploadError,
+  useFallbackModels = true
 }) {
-  const models = getPdfModelCandidates(primaryModel);
-  const keyStyles = ['snake', 'camel']; // نجرب الاتنين بسبب اختلافات التنفيذ
-  let lastError = null;
+  const details = extractProviderError(pdfUploadError);
+  const message = String(details.message || '').toLowerCase();
+  const canFallbackToText =
+    message.includes('file data is missing') ||
+    message.includes('failed to parse');
+
+  if (!canFallbackToText && !ENABLE_LOCAL_OCR_FALLBACK && !ENABLE_PDF_RASTER_FALLBACK) {
+    throw pdfUploadError;
+  }
 
-  for (const keyStyle of keyStyles) {
-    for (const model of models) {
-      try {
-        console.log(`[INFO] محاولة PDF بالموديل: ${model}, keyStyle: ${keyStyle}`);
+  console.warn('[WARN] PDF file upload failed, using local text extraction fallback');
 
-        const messages = buildPdfMessages(
-          prompt,
-          filename,
-          pdfDataUrl,
-          keyStyle
-        );
+  let lastError = pdfUploadError;
+  const text = await extractPdfTextForFallback(file.buffer).catch((parseError) => {
+    console.error('[ERROR] pdf-parse failed:', parseError.message);
+    return '';
+  });
 
-        return await callOpenRouter({
-          model,
-          messages,
-          plugins,
-          temperature,
-          max_tokens,
-          useFallbackModels: false
-        });
-      } catch (error) {
-        const details = extractOpenRouterError(error);
-        lastError = error;
-        console.error(
-          `[WARN] فشل PDF model=${model} keyStyle=${keyStyle}: ${details.message}`
-        );
+  if (text && (canFallbackToText || ENABLE_LOCAL_OCR_FALLBACK)) {
+    try {
+      const data = await provider.chat({
+        model: normalizeModelName(provider.defaultTextModel, provider.defaultTextModel),
+        task,
+        messages: [
+          {
+            role: 'user',
+            content: buildTextPromptFn(text)
+          }
+        ],
+        useFallbackModels,
+        temperature: 0,
+        max_tokens,
+        responseFormat
+      });
 
-        if (!isMissingFileDataError(error) && !String(details.message || '').toLowerCase().includes('failed to parse')) {
-          // لو الخطأ مختلف، نكمل نجرب موديل تاني برضه
-        }
-      }
+      return { data, extractionPath: 'pdf-text+model', sourceText: text };
+    } catch (textError) {
+      lastError = textError;
+      console.warn(
+        `[WARN] PDF text fallback failed: ${extractProviderError(textError).message}`
+      );
     }
   }
 
-  throw lastError || new Error('All PDF attempts failed');
-}
+  let pages = null;
 
-/* =========================
-   Error Middleware
-========================= */
-app.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({
-      error: 'حجم الملف كبير جدًا. الحد الأقصى المسموح به هو 50 ميجابايت.',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+  if (ENABLE_PDF_RASTER_FALLBACK) {
+    pages = await rasterizePdfPages(file.buffer, rasterOptions).catch((rasterError) => {
+      console.error('[ERROR] PDF rasterization failed:', rasterError.message);
+      return [];
     });
   }
 
-  if (err?.message?.includes('الرجاء تحميل ملف صورة')) {
-    return res.status(400).json({
-      error: err.message,
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-  }
+  if (pages && pages.length) {
+    try {
+      console.log(
+        `[INFO] PDF raster fallback: pages=${pages.map((p) => p.page).join(',')}, dpi=${rasterOptions.density}`
+      );
 
-  next(err);
-});
+      const data = await provider.chat({
+        model: modelName,
+        task,
+        messages: buildImagesMessages(
+          prompt,
+          pages.map((p) => `data:image/png;base64,${p.buffer.toString('base64')}`)
+        ),
+        useFallbackModels,
+        temperature: 0,
+        max_tokens,
+        responseFormat
+      });
 
-/* =========================
-   Routes
-========================= */
-async function handleGeminiExtraction(req, res) {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+      return {
+        data,
+        extractionPath: 'pdf-pages',
+        pagesUsed: pages.map((p) => p.page)
+      };
+    } catch (visionError) {
+      lastError = visionError;
+      console.warn(
+        `[WARN] PDF raster fallback failed: ${extractProviderError(visionError).message}`
+      );
     }
+  } else if (ENABLE_PDF_RASTER_FALLBACK) {
+    console.warn('[WARN] PDF raster fallback skipped: no page images were rendered');
+  }
 
-    const modelName = normalizeModelName(
-      req.body.model || DEFAULT_VISION_MODEL,
-      DEFAULT_VISION_MODEL
-    );
+  if (!ENABLE_LOCAL_OCR_FALLBACK) {
+    throw !text && canFallbackToText
+      ? new Error('تعذر استخراج نص من ملف PDF.')
+      : lastError;
+  }
 
-    console.log(
-      `[INFO] معالجة الملف: ${req.file.originalname}, الحجم: ${(req.file.size / 1024 / 1024).toFixed(2)} ميجابايت`
-    );
-    console.log(`[INFO] req.body.model: ${req.body.model || ''}`);
-    console.log(`[INFO] normalized modelName: ${modelName}`);
+  if (text) {
+    // الموديل اتجرب بالنص فوق وفشل، فمفيش داعي نكرره
+    return completeFromLocalText({
+      provider,
+      task,
+      text,
+      source: 'pdf-text',
+      buildTextPromptFn,
+      ruleExtractor,
+      max_tokens,
+      skipModel: true,
+      useFallbackModels
+    });
+  }
 
-    const prompt = buildDocumentPrompt();
-    const base64Data = req.file.buffer.toString('base64');
-    let data;
+  console.warn('[WARN] PDF has no text layer, running local OCR on rasterized pages');
 
-    if (req.file.mimetype === 'application/pdf') {
-      const pdfDataUrl = `data:application/pdf;base64,${base64Data}`;
+  let ocrText = '';
+  try {
+    if (!pages || !pages.length) {
+      // الصفحات ما اترسمتش قبل كده (الـ raster fallback مقفول أو فشل)
+      pages = await rasterizePdfPages(file.buffer, {
+        maxPages: OCR_PDF_MAX_PAGES,
+        density: OCR_PDF_DENSITY
+      });
+    }
+    ocrText = await ocrPageImages(pages);
+  } catch (ocrError) {
+    console.error('[ERROR] local OCR failed:', ocrError.message);
+  }
 
-      console.log('[DEBUG] pdf filename:', req.file.originalname);
-      console.log('[DEBUG] pdf mimetype:', req.file.mimetype);
-      console.log('[DEBUG] pdf size:', req.file.size);
-      console.log('[DEBUG] pdfDataUrl prefix:', pdfDataUrl.slice(0, 35));
+  if (!ocrText) {
+    // لو الـ provider رفض لسبب تاني (auth / rate limit) نرجّع خطأه هو
+    throw canFallbackToText
+      ? new Error('تعذر استخراج نص من ملف PDF.')
+      : lastError;
+  }
 
-      const plugins = [
-        {
-          id: 'file-parser',
-          pdf: {
-            engine: PDF_ENGINE
-          }
-        }
-      ];
+  const result = await completeFromLocalText({
+    provider,
+    task,
+    text: ocrText,
+    source: 'ocr',
+    buildTextPromptFn,
+    ruleExtractor,
+    max_tokens,
+    responseFormat,
+    useFallbackModels
+  });
 
-      try {
-        data = await callOpenRouterForPdf({
-          primaryModel: modelName,
-          prompt,
-          filename: req.file.originalname || 'document.pdf',
-          pdfDataUrl,
-          plugins,
-          temperature: 0,
-          max_tokens: 1200
-        });
-      } catch (pdfUploadError) {
-        const details = extractOpenRouterError(pdfUploadError);
-        const message = String(details.message || '').toLowerCase();
-        const canFallbackToText =
-          message.includes('file data is missing') ||
-          message.includes('failed to parse');
-
-        if (!canFallbackToText) {
-          throw pdfUploadError;
-        }
+  return { ...result, pagesUsed: pages.map((p) => p.page) };
+}
 
-        console.warn('[WARN] PDF file upload failed, using local text extraction fallback');
+// بترجع { data } لو الموديل رد، أو { rawText } جاهز من الـ rules، ومعاهم extractionPath (و pagesUsed لو اتعمل render،
+// و pdfRouting: قرارات الـ circuit breaker لو الـ provider بيرجعها)
+async function runDocumentExtraction({
+  provider,
+  task,
+  file,
+  modelName,
+  prompt,
+  buildTextPromptFn,
+  ruleExtractor,
+  defaultFilename,
+  max_tokens,
+  responseFormat,
+  rasterOptions = resolveRasterOptions(),
+  // false = الموديل المطلوب بس (consensus: كل صوت لازم يكون من موديله هو)
+  useFallbackModels = true
+}) {
+  const base64Data = file.buffer.toString('base64');
 
-        const extractedText = await extractPdfTextForFallback(req.file.buffer);
-        if (!extractedText) {
-          throw new Error('تعذر استخراج نص من ملف PDF.');
-        }
+  if (file.mimetype === 'application/pdf') {
+    const pdfDataUrl = `data:application/pdf;base64,${base64Data}`;
 
-        data = await callOpenRouter({
-          model: normalizeModelName(DEFAULT_TEXT_MODEL, DEFAULT_TEXT_MODEL),
-          messages: [
-            {
-              role: 'user',
-              content: buildTextPrompt(extractedText)
-            }
-          ],
-          useFallbackModels: true,
-          temperature: 0,
-          max_tokens: 1200
-        });
-      }
-    } else {
-      const imageDataUrl = `data:${req.file.mimetype};base64,${base64Data}`;
+    // اسم الملف ممكن يكون فيه اسم العميل: بيتكتب كـ field عشان يتخبى
+    console.log('[DEBUG] pdf upload', {
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      dataUrlPrefix: pdfDataUrl.slice(0, 35)
+    });
 
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: prompt },
-            {
-              type: 'image_url',
-              image_url: {
-                url: imageDataUrl
-              }
-            }
-          ]
+    const plugins = [
+      {
+        id: 'file-parser',
+        pdf: {
+          engine: PDF_ENGINE
         }
-      ];
-
-      data = await callOpenRouter({
-        model: modelName,
-        messages,
-        plugins: undefined,
-        useFallbackModels: true,
+      }
+    ];
+
+    try {
+      const data = await provider.chatWithPdf({
+        primaryModel: modelName,
+        task,
+        prompt,
+        filename: file.originalname || defaultFilename,
+        pdfDataUrl,
+        plugins,
         temperature: 0,
-        max_tokens: 1200
+        max_tokens,
+        responseFormat,
+        useFallbackModels
       });
-    }
 
-    const rawText = extractAssistantText(data);
-    console.log('[DEBUG] Raw model response:', rawText);
+      return { data, extractionPath: 'vision-pdf', pdfRouting: data.pdfRouting };
+    } catch (pdfUploadError) {
+      const fallback = await extractPdfWithFallbacks({
+        provider,
+        task,
+        file,
+        modelName,
+        prompt,
+        buildTextPromptFn,
+        ruleExtractor,
+        max_tokens,
+        responseFormat,
+        rasterOptions,
+        pdfUploadError,
+        useFallbackModels
+      });
+      // الموديلات اللي اتجربت (واتقفلت) قبل ما ننزل للـ fallback
+      return { ...fallback, pdfRouting: pdfUploadError.pdfRouting };
+    }
+  }
 
-    const normalized = normalizeFlatJson(rawText);
+  const imageDataUrl = `data:${file.mimetype};base64,${base64Data}`;
 
-    return res.status(200).json({
-      jsonResponse: normalized.finalResponse
+  try {
+    const data = await provider.chat({
+      model: modelName,
+      task,
+      messages: buildImagesMessages(prompt, [imageDataUrl]),
+      plugins: undefined,
+      useFallbackModels,
+      temperature: 0,
+      max_tokens,
+      responseFormat
     });
-  } catch (error) {
-    const details = extractOpenRouterError(error);
 
-    console.error('[ERROR] خطأ أثناء معالجة الملف:', details.message);
-
-    if (details?.metadata?.available_providers) {
-      console.error(
-        '[ERROR] available_providers:',
-        JSON.stringify(details.metadata.available_providers, null, 2)
-      );
+    return { data, extractionPath: 'vision-image' };
+  } catch (imageError) {
+    if (!ENABLE_LOCAL_OCR_FALLBACK) {
+      throw imageError;
     }
 
-    if (details?.metadata?.requested_providers) {
-      console.error(
-        '[ERROR] requested_providers:',
-        JSON.stringify(details.metadata.requested_providers, null, 2)
-      );
-    }
+    console.warn(
+      `[WARN] image extraction failed (${extractProviderError(imageError).message}), running local OCR`
+    );
+
+    const text = await recognizeImage(file.buffer)
+      .then((ocrText) => ocrText.slice(0, 20000))
+      .catch((ocrError) => {
+        console.error('[ERROR] local OCR failed:', ocrError.message);
+        return '';
+      });
+
+    if (!text) {
+      throw imageError;
+    }
+
+    return completeFromLocalText({
+      provider,
+      task,
+      text,
+      source: 'ocr',
+      buildTextPromptFn,
+      ruleExtractor,
+      max_tokens,
+      responseFormat,
+      useFallbackModels
+    });
+  }
+}
+
+/* =========================
+   JSON repair (local -> re-ask)
+========================= */
+function buildJsonCorrectionPrompt(rawText, parseError) {
+  return `
+Your previous reply could not be parsed as JSON.
+Parse error: ${parseError}
+
+Previous reply:
+"""
+${String(rawText || '').slice(0, 12000)}
+"""
+
+Return ONLY the corrected, complete JSON object with the same keys (use null for anything you cannot recover).
+No markdown, no commentary.
+  `.trim();
+}
+
+// بيرجع { rawText, repair } — rawText هو الـ JSON بعد الإصلاح (عشان الكاش يتخزن سليم)
+// attempts: 0 = الرد سليم، 1 = اتصلح محليًا، 2 = احتجنا re-ask
+async function repairModelJson({
+  provider,
+  task,
+  model,
+  rawText,
+  normalize,
+  max_tokens,
+  responseFormat,
+  useFallbackModels = true
+}) {
+  let parseError;
+  try {
+    const { parsed, repairs } = normalize(rawText);
+    return {
+      rawText: repairs.length ? JSON.stringify(parsed) : rawText,
+      repair: { attempts: repairs.length ? 1 : 0, steps: repairs, reasked: false }
+    };
+  } catch (error) {
+    parseError = error;
+  }
+
+  jsonParseFailures.inc({ task, stage: 'local_repair' });
+  if (!ENABLE_JSON_REASK) {
+    throw createProviderError(`رد الموديل ليس JSON صالحًا: ${parseError.message}`, 502);
+  }
+
+  console.warn(`[WARN] model JSON still invalid after local repair (${parseError.message}), re-asking ${model}`);
+
+  const data = await provider.chat({
+    model,
+    task,
+    messages: [
+      {
+        role: 'user',
+        content: buildJsonCorrectionPrompt(rawText, parseError.message)
+      }
+    ],
+    useFallbackModels,
+    temperature: 0,
+    max_tokens,
+    responseFormat
+  });
+
+  const correctedText = extractAssistantText(data);
+  try {
+    const { parsed, repairs } = normalize(correctedText);
+    return {
+      rawText: JSON.stringify(parsed),
+      repair: {
+        attempts: 2,
+        steps: [...(parseError.repairs || []), 'reask', ...repairs],
+        reasked: true,
+        parseError: parseError.message
+      }
+    };
+  } catch (secondError) {
+    jsonParseFailures.inc({ task, stage: 'reask' });
+    console.error('[ERROR] model JSON invalid after re-ask:', secondError.message);
+    throw createProviderError('رد الموديل ليس JSON صالحًا حتى بعد محاولة الإصلاح.', 502);
+  }
+}
+
+async function extractWithJsonRepair(options) {
+  const value = toCacheValue(await runDocumentExtraction(options), options.modelName);
+  extractionPaths.inc({ task: options.task, path: value.extractionPath });
+  const { rawText, repair } = await repairModelJson({
+    provider: options.provider,
+    task: options.task,
+    model: value.model,
+    rawText: value.rawText,
+    normalize: options.normalize,
+    max_tokens: options.max_tokens,
+    responseFormat: options.responseFormat,
+    useFallbackModels: options.useFallbackModels
+  });
+  return { ...value, rawText, repair };
+}
+
+// runDocumentExtraction + إصلاح الـ JSON + cache. اللي بيتخزن هو رد الموديل بعد الإصلاح، والـ validation بيتعمل كل مرة
+async function runCachedExtraction(req, options) {
+  const { provider, task, file, modelName, prompt } = options;
+
+  if (!resultCache.enabled) {
+    return extractWithJsonRepair(options);
+  }
+
+  const cacheKey = buildCacheKey({
+    buffer: file.buffer,
+    task,
+    provider: provider.name,
+    model: modelName,
+    promptVersion: promptVersion(prompt)
+  });
+  const bypass = isTruthyFlag(req.query?.nocache) || isTruthyFlag(req.body?.nocache);
+
+  if (!bypass) {
+    const entry = await resultCache.get(cacheKey).catch((cacheError) => {
+      console.warn('[WARN] result cache read failed:', cacheError.message);
+      return null;
+    });
+
+    if (entry) {
+      extractionPaths.inc({ task, path: 'cache' });
+      console.log(`[INFO] cache hit: ${task} ${cacheKey.fileHash.slice(0, 12)} (${entry.createdAt})`);
+      return {
+        ...entry.value,
+        cache: { hit: true, fileHash: cacheKey.fileHash, cachedAt: entry.createdAt }
+      };
+    }
+  }
+
+  const value = await extractWithJsonRepair(options);
+
+  // نتيجة الـ regex (مفيش موديل) ما بنخزنهاش عشان المرة الجاية تجرب الموديل تاني
+  if (!value.extractionPath.endsWith('+rules')) {
+    await resultCache.set(cacheKey, value).catch((cacheError) => {
+      console.warn('[WARN] result cache write failed:', cacheError.message);
+    });
+  }
+
+  return {
+    ...value,
+    cache: { hit: false, fileHash: cacheKey.fileHash, bypassed: bypass || undefined }
+  };
+}
+
+function toCacheValue(result, modelName) {
+  return {
+    rawText: result.rawText ?? extractAssistantText(result.data),
+    model: result.data?.model || modelName,
+    extractionPath: result.extractionPath,
+    pagesUsed: result.pagesUsed,
+    pdfRouting: result.pdfRouting,
+    sourceText: result.sourceText
+  };
+}
+
+/* =========================
+   Error Middleware
+========================= */
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      error: 'حجم الملف كبير جدًا. الحد الأقصى المسموح به هو 50 ميجابايت.',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+
+  if (err?.message?.includes('الرجاء تحميل ملف صورة')) {
+    return res.status(400).json({
+      error: err.message,
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+
+  next(err);
+});
+
+/* =========================
+   Routes
+========================= */
+// نفس شكل رد الخطأ في كل مسارات الاستخراج (وفي نتيجة الـ jobs)
+function buildErrorBody(message, details) {
+  return {
+    error: message,
+    providerError: details.message,
+    available_providers: details?.metadata?.available_providers || undefined,
+    requested_providers: details?.metadata?.requested_providers || undefined,
+    details: process.env.NODE_ENV === 'development' ? details.raw : undefined
+  };
+}
+
+function parseOptionalInt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number.parseInt(String(value), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* =========================
+   Per-type postprocessing
+========================= */
+// بتاخد { schema, normalized, result, req } وترجع الـ body من غير meta
+async function postprocessCvDocument({ schema, normalized, result, req }) {
+  const mrz = await detectMrz({
+    parsed: normalized.parsed,
+    sourceText: result.sourceText,
+    file: req.file
+  });
+  const postprocessed = postprocessCvFields(normalized.values, mrz);
+
+  return {
+    [schema.wrapper]: postprocessed.values,
+    validation: postprocessed.validation,
+    warnings: postprocessed.warnings,
+    mrz: postprocessed.mrz
+  };
+}
+
+function postprocessTicketsDocument({ schema, normalized, req }) {
+  const { tickets_details, segments, warnings } = validateTicketItinerary(normalized);
+
+  const order_id = parseOptionalInt(req.body.order_id);
+  if (order_id !== null) {
+    tickets_details.order_id = order_id;
+  }
+
+  const ticketFile =
+    req.body.ticketFile != null && String(req.body.ticketFile).trim() !== ''
+      ? String(req.body.ticketFile).trim()
+      : null;
+  if (ticketFile !== null) {
+    tickets_details.ticketFile = ticketFile;
+  }
+
+  return { [schema.wrapper]: tickets_details, segments, warnings };
+}
+
+async function postprocessPassportDocument({ schema, normalized, result, req }) {
+  const mrz = await detectMrz({
+    parsed: normalized.parsed,
+    sourceText: result.sourceText,
+    file: req.file
+  });
+
+  const nationality = applyNationality(normalized.values);
+  const mrzChecked = crossCheckWithMrz(nationality.values, mrz);
+  const derived = deriveCvFields(mrzChecked.values);
+
+  const passport = {};
+  for (const key of schema.keys) {
+    passport[key] = derived.values[key] ?? null;
+  }
+  if (mrz) {
+    passport.surname = passport.surname || mrz.fields.surname || null;
+    passport.givenNames = passport.givenNames || mrz.fields.givenNames || null;
+    passport.sex = passport.sex || mrz.fields.sex;
+  }
+
+  return {
+    [schema.wrapper]: passport,
+    mrz: mrz ? { ...mrz, applied: mrzChecked.applied } : null,
+    validation: nationality.report,
+    warnings: [...mrzChecked.warnings, ...derived.warnings]
+  };
+}
+
+// أي نوع جديد من schemas/ من غير hooks: validation عامة حسب أنواع الحقول
+function postprocessGenericDocument({ schema, normalized }) {
+  const { values, validation, warnings } = schema.validate(normalized.values);
+  return { [schema.wrapper]: values, validation, warnings };
+}
+
+// الـ flat بتاع التذكرة جاي من أول leg (departure_*) وآخر leg (arrival_*)
+function ticketWarningFields(body) {
+  const last = Math.max(0, (body.segments || []).length - 1);
+  return (key) => {
+    if (key.startsWith('departure_') || key === 'flight_number') return [key, `segments[0].${key}`];
+    if (key.startsWith('arrival_')) return [key, `segments[${last}].${key}`];
+    if (key === 'airlines') return [key, 'segments[0].airline'];
+    return [key];
+  };
+}
+
+const SCHEMA_HOOKS = {
+  cv: { postprocess: postprocessCvDocument },
+  tickets: {
+    normalize: normalizeTicketsDetailsJson,
+    postprocess: postprocessTicketsDocument,
+    warningFields: ticketWarningFields
+  },
+  passport: { postprocess: postprocessPassportDocument }
+};
+
+/* =========================
+   Extraction core
+========================= */
+function resolveSchema(type) {
+  const schema = schemaRegistry.get(type);
+  if (!schema) {
+    throw createProviderError(
+      `نوع المستند غير مسجل: ${type}. المتاح: ${schemaRegistry.list().map((s) => s.type).join(', ')}`,
+      404
+    );
+  }
+  return schema;
+}
+
+// المكتب اللي جاي منه الملف: بيحدد أمثلة الـ few-shot وبيتحسب عليه الاستهلاك.
+// لو الطلب بمفتاح، مكتب المفتاح هو اللي بيكسب (مينفعش صاحب مفتاح يختار مكتب تاني)،
+// والـ officeName في الـ body / query / header بيتقبل بس من غير مفتاح (أو من مسارات الإدارة)
+function resolveOfficeName(req) {
+  if (req.apiKey) return req.apiKey.officeName;
+
+  const value = req.body?.officeName || req.query?.officeName || req.get?.('x-office-name');
+  return value ? String(value).trim() : null;
+}
+
+// ?fewShot=0 بيقفلها للطلب ده. فشل القراءة ما بيوقفش الاستخراج
+async function selectFewShotExamples(schema, req) {
+  const flag = req.query?.fewShot ?? req.body?.fewShot;
+  if (!exampleStore.enabled || (flag !== undefined && !isTruthyFlag(flag))) return [];
+
+  try {
+    return await exampleStore.select({
+      type: schema.type,
+      officeName: resolveOfficeName(req),
+      limit: FEW_SHOT_MAX_EXAMPLES
+    });
+  } catch (storeError) {
+    console.warn('[WARN] few-shot examples read failed:', storeError.message);
+    return [];
+  }
+}
+
+// run واحد على موديل واحد: prompt + response_format + normalize من الـ schema، وبعدين الـ hook
+// بيرجع { body, rawText } (rawText = رد الموديل بعد إصلاح الـ JSON، للـ extraction store)
+// useFallbackModels=false: من غير موديلات بديلة (الـ consensus)
+async function runSingleExtraction({
+  schema,
+  req,
+  provider,
+  modelName,
+  detail,
+  examples = [],
+  useFallbackModels = true
+}) {
+  const hooks = SCHEMA_HOOKS[schema.type] || {};
+  const normalize = hooks.normalize || schema.normalize;
+
+  // ?detail=1: نفس الـ prompt + _evidence لكل حقل (prompt مختلف = cache entry مختلف)
+  const evidenceRules = detail ? buildEvidenceRules(schema.keys) : '';
+
+  const result = await runCachedExtraction(req, {
+    provider,
+    task: schema.type,
+    file: req.file,
+    modelName,
+    prompt: `${schema.buildDocumentPrompt({ examples })}\n${evidenceRules}`.trim(),
+    buildTextPromptFn: (text) => `${schema.buildTextPrompt(text, { examples })}\n${evidenceRules}`.trim(),
+    ruleExtractor: RULE_EXTRACTORS[schema.ruleExtractor] || null,
+    defaultFilename: schema.defaultFilename,
+    max_tokens: detail ? schema.max_tokens + schema.keys.length * 40 : schema.max_tokens,
+    normalize,
+    responseFormat: detail ? withEvidenceFormat(schema.responseFormat, schema.keys) : schema.responseFormat,
+    rasterOptions: resolveRasterOptions(req.body),
+    useFallbackModels
+  });
+
+  const { rawText } = result;
+  console.log(`[DEBUG] Raw ${schema.type} model response (${result.model}):`, rawText);
+
+  const postprocess = hooks.postprocess || postprocessGenericDocument;
+  const normalized = normalize(rawText);
+  const body = await postprocess({ schema, normalized, result, req });
+
+  if (detail) {
+    body.detail = buildFieldDetails({
+      keys: schema.keys,
+      values: body[schema.wrapper],
+      parsed: normalized.parsed,
+      validation: body.validation,
+      warnings: body.warnings,
+      sourceText: result.sourceText,
+      extractionPath: result.extractionPath,
+      pagesUsed: result.pagesUsed,
+      isImage: req.file.mimetype !== 'application/pdf',
+      threshold: DETAIL_LOW_CONFIDENCE,
+      warningFieldsFor: hooks.warningFields ? hooks.warningFields(body) : undefined
+    });
+  }
+
+  return {
+    rawText,
+    body: {
+      ...body,
+      meta: {
+        provider: provider.name,
+        model: result.model,
+        extractionPath: result.extractionPath,
+        pagesUsed: result.pagesUsed,
+        pdfRouting: result.pdfRouting,
+        repair: result.repair,
+        cache: result.cache,
+        ...(examples.length && { fewShot: examples.map((example) => example.id) })
+      }
+    }
+  };
+}
+
+function resolveConsensusModels(req, provider, modelName) {
+  const requested = req.body.consensusModels || req.query.consensusModels;
+  const list = requested
+    ? String(requested).split(',').map((m) => m.trim()).filter(Boolean)
+    : CONSENSUS_MODELS.length
+      ? CONSENSUS_MODELS
+      : buildFallbackModels(modelName);
+
+  const models = [...new Set(list.map((m) => normalizeModelName(m, provider.defaultVisionModel)))].slice(0, 3);
+  if (models.length < 2) {
+    throw createProviderError('وضع الإجماع محتاج موديلين مختلفين على الأقل (consensusModels).', 400);
+  }
+  return models;
+}
+
+// الحقول اللي الأغلبية غيّرت قيمتها عن الـ base run: الـ detail / warnings / validation / mrz.applied بتاعتها
+// بتيجي من أول run قيمته هي اللي كسبت، عشان الرد ما يوصفش قيمة مش موجودة فيه
+function buildConsensusBody({ schema, runs, merged, base }) {
+  const hooks = SCHEMA_HOOKS[schema.type] || {};
+  const fieldsOf = (run) => (hooks.warningFields ? hooks.warningFields(run.body) : (key) => [key]);
+  const overridden = schema.keys.filter((key) => !sameVote(base.values?.[key], merged.values[key]));
+  const donors = Object.fromEntries(
+    overridden.map((key) => [key, runs.find((run) => sameVote(run.values?.[key], merged.values[key])) || null])
+  );
+
+  const body = {
+    ...base.body,
+    [schema.wrapper]: { ...base.body[schema.wrapper], ...merged.values }
+  };
+  if (!overridden.length) return body;
+
+  const baseFields = fieldsOf(base);
+  const replaced = new Set(overridden.flatMap((key) => baseFields(key)));
+  body.warnings = (base.body.warnings || []).filter((warning) => !replaced.has(warning.field));
+
+  if (base.body.validation) {
+    body.validation = { ...base.body.validation };
+  }
+
+  for (const key of overridden) {
+    const donor = donors[key];
+    if (body.validation) {
+      if (donor?.body.validation?.[key]) body.validation[key] = donor.body.validation[key];
+      else delete body.validation[key];
+    }
+    if (donor) {
+      const donorFields = fieldsOf(donor)(key);
+      body.warnings.push(...(donor.body.warnings || []).filter((warning) => donorFields.includes(warning.field)));
+    }
+  }
+
+  if (base.body.mrz?.applied) {
+    body.mrz = {
+      ...base.body.mrz,
+      applied: base.body.mrz.applied.filter(
+        (key) => !overridden.includes(key) || donors[key]?.body.mrz?.applied?.includes(key)
+      )
+    };
+  }
+
+  if (base.body.detail) {
+    const fields = { ...base.body.detail.fields };
+    for (const key of overridden) {
+      const donorField = donors[key]?.body.detail?.fields?.[key];
+      fields[key] = donorField || {
+        value: merged.values[key],
+        confidence: null,
+        snippet: null,
+        page: null,
+        source: null,
+        adjustments: []
+      };
+    }
+    const { threshold } = base.body.detail;
+    body.detail = {
+      ...base.body.detail,
+      fields,
+      lowConfidence: Object.keys(fields).filter(
+        (key) => fields[key].confidence !== null && fields[key].confidence < threshold
+      )
+    };
+  }
+
+  return body;
+}
+
+// ?consensus=1: نفس الاستخراج على 2-3 موديلات بالتوازي، والقيم بتتحدد بالأغلبية حقل حقل.
+// كل run من غير fallback models، وأي run رد عليه موديل رد قبل كده ما بيتحسبش صوت تاني
+async function extractWithConsensus({ schema, req, provider, modelName, detail, examples }) {
+  const models = resolveConsensusModels(req, provider, modelName);
+  console.log(`[INFO] consensus: ${schema.type} on ${models.join(', ')}`);
+
+  const settled = await Promise.allSettled(
+    models.map((model) =>
+      runSingleExtraction({
+        schema,
+        req,
+        provider,
+        modelName: model,
+        detail,
+        examples,
+        useFallbackModels: false
+      })
+    )
+  );
+
+  const runs = [];
+  const report = settled.map((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      const { body, rawText } = outcome.value;
+      const entry = {
+        model: models[index],
+        status: 'ok',
+        resolvedModel: body.meta.model,
+        extractionPath: body.meta.extractionPath
+      };
+
+      const duplicate = runs.find((run) => run.servedModel === body.meta.model);
+      if (duplicate) {
+        console.warn(`[WARN] consensus model ${models[index]} answered by ${body.meta.model} (already voted)`);
+        return { ...entry, status: 'duplicate', duplicateOf: duplicate.model };
+      }
+
+      runs.push({ model: models[index], servedModel: body.meta.model, values: body[schema.wrapper], body, rawText });
+      return entry;
+    }
+
+    const details = extractProviderError(outcome.reason);
+    console.warn(`[WARN] consensus model ${models[index]} failed: ${details.message}`);
+    return { model: models[index], status: 'failed', error: details.message };
+  });
+
+  if (!runs.length) {
+    throw settled[0].reason;
+  }
+
+  const merged = mergeByMajority({ keys: schema.keys, runs });
+  const base = pickBaseRun(runs, merged.values);
+
+  if (merged.disagreements.length) {
+    console.log(
+      `[INFO] consensus disagreements: ${merged.disagreements.map((d) => d.field).join(', ')}`
+    );
+  }
+
+  const body = buildConsensusBody({ schema, runs, merged, base });
+
+  return {
+    rawText: base.rawText,
+    body: {
+      ...body,
+      meta: { ...body.meta, model: runs.map((run) => run.servedModel).join(',') },
+      consensus: {
+        models: report,
+        baseModel: base.model,
+        // أقل من موديلين مختلفين ردوا = مفيش تصويت فعلي
+        degraded: runs.length < 2,
+        compared: merged.compared,
+        agreed: merged.agreed,
+        disagreements: merged.disagreements
+      }
+    }
+  };
+}
+
+// فشل الحفظ ما بيوقفش الرد على العميل
+async function saveExtraction({ schema, req, body, rawText }) {
+  if (!extractionStore.enabled) return null;
+
+  try {
+    return await extractionStore.save({
+      type: schema.type,
+      fileHash: body.meta.cache?.fileHash || sha256(req.file.buffer),
+      filename: req.file.originalname,
+      provider: body.meta.provider,
+      model: body.meta.model,
+      extractionPath: body.meta.extractionPath,
+      rawOutput: rawText,
+      result: body,
+      values: body[schema.wrapper]
+    });
+  } catch (storeError) {
+    console.warn('[WARN] extraction store write failed:', storeError.message);
+    return null;
+  }
+}
+
+// options.schema: نسخة بديلة من الـ schema (التقييم)، options.persist=false: من غير extraction store
+async function extractDocument(type, req, { schema: schemaOverride, persist = true } = {}) {
+  const schema = schemaOverride || resolveSchema(type);
+  const detail = isTruthyFlag(req.query?.detail) || isTruthyFlag(req.body?.detail);
+  const consensus = isTruthyFlag(req.query?.consensus) || isTruthyFlag(req.body?.consensus);
+
+  const provider = resolveProvider(req);
+  const modelName = normalizeModelName(
+    req.body.model || provider.defaultVisionModel,
+    provider.defaultVisionModel
+  );
+
+  console.log(`[INFO] ${schema.type}: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`, {
+    originalname: req.file.originalname
+  });
+  console.log(`[INFO] provider: ${provider.name}, normalized modelName: ${modelName}`);
+
+  const examples = await selectFewShotExamples(schema, req);
+  if (examples.length) {
+    console.log(`[INFO] few-shot: ${examples.length} examples (office: ${resolveOfficeName(req) || '-'})`);
+  }
+
+  const { body, rawText } = consensus
+    ? await extractWithConsensus({ schema, req, provider, modelName, detail, examples })
+    : await runSingleExtraction({ schema, req, provider, modelName, detail, examples });
+
+  // كل الـ calls بتاعة الطلب (تصنيف + fallbacks + re-ask + consensus). من الكاش = صفر
+  body.meta.usage = requestUsage(req);
+
+  const extractionId = persist ? await saveExtraction({ schema, req, body, rawText }) : null;
+  if (extractionId) {
+    body.meta.extractionId = extractionId;
+  }
+  return body;
+}
+
+function extractCvDocument(req) {
+  return extractDocument('cv', req);
+}
+
+// POST /api/extract/:type، والمسارات القديمة (/api/gemini, /extractdatafromtickets, /passport) aliases ليه
+function createExtractionHandler(fixedType) {
+  return async function handleExtraction(req, res) {
+    const type = fixedType || req.params.type;
+    let schema = null;
+
+    try {
+      schema = resolveSchema(type);
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+      }
+
+      return res.status(200).json(await extractDocument(schema.type, req));
+    } catch (error) {
+      const details = extractProviderError(error);
+
+      if (!schema) {
+        return res.status(details.status || 404).json({ error: details.message });
+      }
+
+      console.error(`[ERROR] ${schema.type}:`, details.message);
+
+      if (details?.metadata?.available_providers) {
+        console.error(
+          '[ERROR] available_providers:',
+          JSON.stringify(details.metadata.available_providers, null, 2)
+        );
+      }
+
+      if (details?.metadata?.requested_providers) {
+        console.error(
+          '[ERROR] requested_providers:',
+          JSON.stringify(details.metadata.requested_providers, null, 2)
+        );
+      }
+
+      return res.status(details.status || 500).json(buildErrorBody(schema.errorMessage, details));
+    }
+  };
+}
+
+const handleGeminiExtraction = createExtractionHandler('cv');
+const handleTicketsExtraction = createExtractionHandler('tickets');
+const handlePassportExtraction = createExtractionHandler('passport');
+const handleTypedExtraction = createExtractionHandler(null);
+
+function handleListSchemas(req, res) {
+  return res.status(200).json({ schemas: schemaRegistry.list().map((schema) => schema.describe()) });
+}
+
+function handleGetSchema(req, res) {
+  const schema = schemaRegistry.get(req.params.type);
+  if (!schema) {
+    return res.status(404).json({ error: `نوع المستند غير مسجل: ${req.params.type}` });
+  }
+  return res.status(200).json({
+    ...schema.describe(),
+    prompt: schema.buildDocumentPrompt(),
+    responseFormat: schema.responseFormat
+  });
+}
+
+app.post('/api/extract/:type', requireApiKey(), upload.single('image'), handleTypedExtraction);
+app.post('/extract/:type', requireApiKey(), upload.single('image'), handleTypedExtraction);
+app.get('/api/schemas', handleListSchemas);
+app.get('/schemas', handleListSchemas);
+app.get('/api/schemas/:type', handleGetSchema);
+app.get('/schemas/:type', handleGetSchema);
+
+app.post('/api/gemini', requireApiKey(), upload.single('image'), handleGeminiExtraction);
+app.post('/gemini', requireApiKey(), upload.single('image'), handleGeminiExtraction);
+
+app.post(
+  '/extractdatafromtickets',
+  requireApiKey(),
+  upload.single('image'),
+  handleTicketsExtraction
+);
+app.post(
+  '/api/extractdatafromtickets',
+  requireApiKey(),
+  upload.single('image'),
+  handleTicketsExtraction
+);
+
+app.post('/passport', requireApiKey(), upload.single('image'), handlePassportExtraction);
+app.post('/api/passport', requireApiKey(), upload.single('image'), handlePassportExtraction);
+
+/* =========================
+   Batch CV extraction
+========================= */
+const BATCH_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// أخطاء multer هنا بترجع JSON بدل صفحة HTML
+function receiveBatchUploads(req, res, next) {
+  batchUpload.fields([
+    { name: 'files', maxCount: BATCH_MAX_FILES },
+    { name: 'image', maxCount: BATCH_MAX_FILES }
+  ])(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError && (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE')) {
+      return res.status(400).json({ error: `عدد الملفات أكبر من المسموح. الحد الأقصى ${BATCH_MAX_FILES} ملف.` });
+    }
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'حجم الملف كبير جدًا. الحد الأقصى المسموح به هو 50 ميجابايت.' });
+    }
+    return next(err);
+  });
+}
+
+async function extractCvBatchItem(file, req) {
+  const startedAt = Date.now();
+
+  try {
+    const body = await extractCvDocument(deriveRequest(req, file));
+    return { filename: file.originalname, status: 'ok', durationMs: Date.now() - startedAt, ...body };
+  } catch (error) {
+    const details = extractProviderError(error);
+    console.error(`[ERROR] batch file failed: ${details.message}`, { originalname: file.originalname });
+
+    return {
+      filename: file.originalname,
+      status: 'error',
+      httpStatus: details.status || 500,
+      durationMs: Date.now() - startedAt,
+      ...buildErrorBody('حدث خطأ أثناء معالجة الملف.', details)
+    };
+  }
+}
+
+// صف لكل ملف: filename + status + مفاتيح الـ CV + error لو فشل
+function buildBatchRows(results) {
+  const columns = ['filename', 'status', ...schemaRegistry.get('cv').keys];
+  const rows = results.map((result) => {
+    const values = result.jsonResponse || {};
+    for (const key of Object.keys(values)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+    return { filename: result.filename, status: result.status, ...values, error: result.error || '' };
+  });
+
+  columns.push('error');
+  return { columns, rows };
+}
+
+async function handleCvBatchExtraction(req, res) {
+  try {
+    const uploads = [...(req.files?.files || []), ...(req.files?.image || [])];
+    if (!uploads.length) {
+      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+    }
+
+    const format = String(req.query.format || req.body.format || 'json').toLowerCase();
+    if (format !== 'json' && !BATCH_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `صيغة التصدير غير مدعومة: ${format}. المتاح: json, ${BATCH_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    // provider غلط يترفض مرة واحدة بدل ما يفشل في كل ملف
+    resolveProvider(req);
+
+    const startedAt = Date.now();
+    const { files, skipped } = expandBatchUploads(uploads, {
+      maxFiles: BATCH_MAX_FILES,
+      maxEntryBytes: 50 * 1024 * 1024,
+      maxTotalBytes: BATCH_MAX_UNZIPPED_MB * 1024 * 1024
+    });
+
+    // الكوتة بتتحسب بعد فك الـ ZIP (عدد المستندات الفعلي)
+    if (!apiKeyAuth.consumeDocuments(req, res, files.length)) return;
+
+    console.log(
+      `[INFO] batch: ${files.length} ملف (تم تخطي ${skipped.length})، concurrency: ${BATCH_CONCURRENCY}`
+    );
+
+    const processed = await mapWithConcurrency(files, BATCH_CONCURRENCY, (file) =>
+      extractCvBatchItem(file, req)
+    );
+
+    const results = [
+      ...processed,
+      ...skipped.map((item) => ({
+        filename: item.filename,
+        status: 'error',
+        httpStatus: 400,
+        error: item.reason
+      }))
+    ];
+
+    const succeeded = results.filter((result) => result.status === 'ok').length;
+    const summary = {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      durationMs: Date.now() - startedAt
+    };
+
+    console.log(`[INFO] batch done: ${summary.succeeded}/${summary.total} في ${summary.durationMs}ms`);
+
+    if (format === 'json') {
+      return res.status(200).json({ summary, results });
+    }
+
+    const { columns, rows } = buildBatchRows(results);
+    res.set({
+      'X-Batch-Total': String(summary.total),
+      'X-Batch-Succeeded': String(summary.succeeded),
+      'X-Batch-Failed': String(summary.failed)
+    });
+
+    if (format === 'csv') {
+      res.attachment('cv-batch.csv');
+      res.type('text/csv; charset=utf-8');
+      return res.status(200).send(buildCsv(rows, columns));
+    }
+
+    res.attachment('cv-batch.xlsx');
+    return res.status(200).send(await buildXlsx(rows, columns, 'CVs'));
+  } catch (error) {
+    const details = extractProviderError(error);
+    console.error('[ERROR] batch:', details.message);
+    return res.status(details.status || 500).json(buildErrorBody('حدث خطأ أثناء معالجة الملفات.', details));
+  }
+}
+
+app.post('/api/gemini/batch', requireApiKey({ documents: 0 }), receiveBatchUploads, handleCvBatchExtraction);
+app.post('/gemini/batch', requireApiKey({ documents: 0 }), receiveBatchUploads, handleCvBatchExtraction);
+
+/* =========================
+   Async jobs
+========================= */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    position: job.status === 'queued' ? jobQueue.position(job) : undefined,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    filename: job.meta.filename,
+    result: job.result || undefined,
+    error: job.error || undefined,
+    httpStatus: job.httpStatus || undefined,
+    callback: job.callback ? { url: job.callbackUrl, ...job.callback } : undefined
+  };
+}
+
+async function deliverJobCallback(job) {
+  if (!job.callbackUrl) return;
+
+  const delivery = await sendSignedCallback(
+    job.callbackUrl,
+    { event: 'job.finished', job: serializeJob(job) },
+    {
+      secret: JOB_CALLBACK_SECRET,
+      timeoutMs: JOB_CALLBACK_TIMEOUT_MS,
+      headers: { 'X-Job-Id': job.id },
+      allowedHosts: JOB_CALLBACK_ALLOWED_HOSTS
+    }
+  );
+
+  job.callback = delivery.ok
+    ? { status: 'delivered', attempts: delivery.attempts, deliveredAt: new Date().toISOString() }
+    : { status: 'failed', attempts: delivery.attempts, lastError: delivery.error };
+}
+
+const jobQueue = createJobQueue({
+  concurrency: JOB_CONCURRENCY,
+  maxQueued: JOB_MAX_QUEUED,
+  retentionSeconds: JOB_RETENTION_SECONDS,
+  onFinished: deliverJobCallback
+});
+
+async function handleCreateJob(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+    }
+
+    // أي نوع مسجل في schemas/ (أو alias ليه)
+    const schema = schemaRegistry.get(req.body.type || req.query.type || 'cv');
+    if (!schema) {
+      const type = req.body.type || req.query.type;
+      return res.status(400).json({
+        error: `نوع المستند غير مدعوم: ${type}. المتاح: ${schemaRegistry.list().map((s) => s.type).join(', ')}`
+      });
+    }
+    const { type } = schema;
+
+    const callbackUrl = req.body.callbackUrl ? String(req.body.callbackUrl).trim() : null;
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl, { allowedHosts: JOB_CALLBACK_ALLOWED_HOSTS })) {
+      return res.status(400).json({
+        error: 'callbackUrl غير صالح: لازم http أو https لعنوان public (أو host مسموح في JOB_CALLBACK_ALLOWED_HOSTS).'
+      });
+    }
+    if (callbackUrl && !JOB_CALLBACK_SECRET) {
+      return res.status(400).json({
+        error: 'JOB_CALLBACK_SECRET غير مضبوط، لا يمكن إرسال callback موقّع.'
+      });
+    }
+
+    // provider غلط يترفض دلوقتي مش بعدين جوه الـ job
+    resolveProvider(req);
+
+    // نسخة من الطلب: الـ job بتشتغل بعد ما الـ response يترجع
+    const jobReq = deriveRequest(req, req.file);
+
+    const job = jobQueue.enqueue({
+      type,
+      callbackUrl,
+      apiKeyId: req.apiKey?.id || null,
+      meta: { filename: req.file.originalname },
+      task: async () => {
+        try {
+          return await extractDocument(type, jobReq);
+        } catch (error) {
+          const details = extractProviderError(error);
+          console.error(`[ERROR] job ${type}:`, details.message);
+          error.jobError = buildErrorBody(schema.errorMessage, details);
+          error.status = details.status || 500;
+          throw error;
+        }
+      }
+    });
+
+    console.log(`[INFO] job ${job.id} queued: ${type}`, { originalname: req.file.originalname });
+
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    const details = extractProviderError(error);
+
+    if (details.status === 503) {
+      return res.status(503).json({ error: 'طابور المهام ممتلئ، حاول لاحقًا.' });
+    }
+
+    console.error('[ERROR] create job:', details.message);
+    return res.status(details.status || 500).json(buildErrorBody('تعذر إنشاء المهمة.', details));
+  }
+}
+
+function handleGetJob(req, res) {
+  const job = jobQueue.get(req.params.id);
+  // job بتاعة مفتاح تاني = كأنها مش موجودة (النتيجة فيها بيانات شخصية)
+  if (!job || job.apiKeyId !== (req.apiKey?.id || null)) {
+    return res.status(404).json({ error: 'المهمة غير موجودة أو انتهت صلاحيتها.' });
+  }
+  return res.status(200).json(serializeJob(job));
+}
+
+app.post('/api/jobs', requireApiKey(), upload.single('image'), handleCreateJob);
+app.post('/jobs', requireApiKey(), upload.single('image'), handleCreateJob);
+app.get('/api/jobs/:id', requireApiKey({ documents: 0 }), handleGetJob);
+app.get('/jobs/:id', requireApiKey({ documents: 0 }), handleGetJob);
+
+app.post('/prompt', requireApiKey(), async (req, res) => {
+  try {
+    const { text, model } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: 'الرجاء توفير نص للمعالجة.' });
+    }
+
+    const provider = resolveProvider(req);
+    const selectedModel = normalizeModelName(
+      model || provider.defaultTextModel,
+      provider.defaultTextModel
+    );
+
+    console.log(`[INFO] استخدام provider: ${provider.name}, نموذج: ${selectedModel}`);
+
+    const schema = schemaRegistry.get('cv');
+    const examples = await selectFewShotExamples(schema, req);
+    const prompt = schema.buildTextPrompt(text, { examples });
+
+    const data = await provider.chat({
+      model: selectedModel,
+      task: 'cv',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      useFallbackModels: true,
+      responseFormat: schema.responseFormat
+    });
+
+    console.log('[DEBUG] Raw model response:', extractAssistantText(data));
+
+    const { rawText, repair } = await repairModelJson({
+      provider,
+      task: 'cv',
+      model: data?.model || selectedModel,
+      rawText: extractAssistantText(data),
+      normalize: schema.normalize,
+      max_tokens: schema.max_tokens,
+      responseFormat: schema.responseFormat
+    });
+
+    const normalized = schema.normalize(rawText);
+    const mrz = await detectMrz({ parsed: normalized.parsed, sourceText: text });
+    const postprocessed = postprocessCvFields(normalized.values, mrz);
+
+    return res.status(200).json({
+      jsonResponse: postprocessed.values,
+      validation: postprocessed.validation,
+      warnings: postprocessed.warnings,
+      mrz: postprocessed.mrz,
+      meta: {
+        provider: provider.name,
+        model: data?.model || selectedModel,
+        extractionPath: 'text',
+        repair,
+        usage: requestUsage(req),
+        ...(examples.length && { fewShot: examples.map((example) => example.id) })
+      }
+    });
+  } catch (error) {
+    const details = extractProviderError(error);
+
+    console.error('[ERROR] خطأ أثناء معالجة النص:', details.message);
+
+    return res.status(details.status || 500).json({
+      error: 'حدث خطأ أثناء معالجة النص.',
+      providerError: details.message,
+      available_providers: details?.metadata?.available_providers || undefined,
+      requested_providers: details?.metadata?.requested_providers || undefined,
+      details: process.env.NODE_ENV === 'development' ? details.raw : undefined
+    });
+  }
+});
+
+/* =========================
+   Document classification (/process-document)
+========================= */
+async function classifyWithModel({ provider, file, modelName }) {
+  const schemas = schemaRegistry.list();
+  const prompt = buildClassificationPrompt(schemas);
+  const responseFormat = buildClassificationResponseFormat(schemas);
+  const base64Data = file.buffer.toString('base64');
+
+  const data =
+    file.mimetype === 'application/pdf'
+      ? await provider.chatWithPdf({
+          primaryModel: modelName,
+          task: 'classify',
+          prompt,
+          filename: file.originalname || 'document.pdf',
+          pdfDataUrl: `data:application/pdf;base64,${base64Data}`,
+          plugins: [{ id: 'file-parser', pdf: { engine: PDF_ENGINE } }],
+          temperature: 0,
+          max_tokens: 200,
+          responseFormat
+        })
+      : await provider.chat({
+          model: modelName,
+          task: 'classify',
+          messages: buildImagesMessages(prompt, [`data:${file.mimetype};base64,${base64Data}`]),
+          useFallbackModels: true,
+          temperature: 0,
+          max_tokens: 200,
+          responseFormat
+        });
+
+  return {
+    ...parseClassification(extractAssistantText(data), schemas),
+    source: 'model',
+    model: data?.model || modelName
+  };
+}
+
+// من غير موديل: كلمات مميزة في نص الـ PDF أو الـ OCR
+async function classifyWithKeywords(file) {
+  let text = '';
+  if (file.mimetype === 'application/pdf') {
+    text = await extractPdfTextForFallback(file.buffer).catch(() => '');
+  } else if (ENABLE_LOCAL_OCR_FALLBACK) {
+    text = await recognizeImage(file.buffer).catch((ocrError) => {
+      console.error('[ERROR] classification OCR failed:', ocrError.message);
+      return '';
+    });
+  }
+
+  return { ...classifyByKeywords(text, schemaRegistry.list()), source: 'keywords' };
+}
+
+async function classifyDocument(req) {
+  const provider = resolveProvider(req);
+  const modelName = normalizeModelName(
+    CLASSIFY_MODEL || provider.defaultVisionModel,
+    provider.defaultVisionModel
+  );
+
+  try {
+    return await classifyWithModel({ provider, file: req.file, modelName });
+  } catch (error) {
+    console.warn(
+      `[WARN] model classification failed (${extractProviderError(error).message}), using keywords`
+    );
+    return classifyWithKeywords(req.file);
+  }
+}
+
+async function handleProcessDocument(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+    }
+
+    const classification = await classifyDocument(req);
+    const { type, confidence } = classification;
+
+    console.log(`[INFO] process-document: -> ${type} (${confidence}, ${classification.source})`, {
+      originalname: req.file.originalname
+    });
+
+    // ثقة قليلة = بنرجع أحسن تخمين من غير استخراج، والموظف يختار النوع بنفسه
+    if (type === UNKNOWN_TYPE || confidence < CLASSIFY_MIN_CONFIDENCE) {
+      return res.status(200).json({
+        documentType: UNKNOWN_TYPE,
+        confidence,
+        classification,
+        message: 'تعذر التعرف على نوع المستند بثقة كافية، الرجاء اختيار النوع يدويًا.',
+        meta: { usage: requestUsage(req) }
+      });
+    }
+
+    const body = await extractDocument(type, req);
+
+    return res.status(200).json({
+      documentType: type,
+      confidence,
+      classification,
+      ...body
+    });
+  } catch (error) {
+    const details = extractProviderError(error);
+
+    console.error('[ERROR] process-document:', details.message);
+
+    return res.status(details.status || 500).json(buildErrorBody('حدث خطأ أثناء معالجة الملف.', details));
+  }
+}
+
+app.post('/process-document', requireApiKey(), upload.single('document'), handleProcessDocument);
+app.post('/api/process-document', requireApiKey(), upload.single('document'), handleProcessDocument);
+
+function handleListNationalities(req, res) {
+  return res.status(200).json({ nationalities: listNationalities() });
+}
+
+app.get('/api/nationalities', handleListNationalities);
+app.get('/nationalities', handleListNationalities);
+
+/* =========================
+   Admin: result cache
+========================= */
+async function handleCacheStats(req, res) {
+  if (!resultCache.enabled) {
+    return res.status(200).json({ enabled: false, backend: resultCache.backend });
+  }
+
+  try {
+    return res.status(200).json({
+      enabled: true,
+      backend: resultCache.backend,
+      ttlSeconds: resultCache.ttlSeconds,
+      entries: await resultCache.size()
+    });
+  } catch (error) {
+    console.error('[ERROR] cache stats:', error.message);
+    return res.status(500).json({
+      error: 'تعذر قراءة حالة الكاش.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// بدون فلاتر بيمسح الكاش كله، أو ?fileHash=...&type=cv|tickets|passport
+async function handlePurgeCache(req, res) {
+  if (!resultCache.enabled) {
+    return res.status(200).json({ enabled: false, purged: 0 });
+  }
+
+  try {
+    const filter = {
+      fileHash: req.query.fileHash || req.body?.fileHash || undefined,
+      task: req.query.type || req.body?.type || undefined
+    };
+    const purged = await resultCache.purge(filter);
+    console.log(`[INFO] cache purged: ${purged} entries`, JSON.stringify(filter));
+    return res.status(200).json({ enabled: true, purged });
+  } catch (error) {
+    console.error('[ERROR] cache purge:', error.message);
+    return res.status(500).json({
+      error: 'تعذر مسح الكاش.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+app.get('/api/admin/cache', requireAdmin, handleCacheStats);
+app.get('/admin/cache', requireAdmin, handleCacheStats);
+app.delete('/api/admin/cache', requireAdmin, handlePurgeCache);
+app.delete('/admin/cache', requireAdmin, handlePurgeCache);
+
+/* =========================
+   Extraction store + review
+========================= */
+function storeDisabled(res) {
+  return res.status(404).json({ error: 'مخزن الاستخراجات غير مفعل (EXTRACTION_STORE_ENABLED).' });
+}
+
+function parseListQuery(query) {
+  return {
+    type: query.type || undefined,
+    fileHash: query.fileHash || undefined,
+    limit: clampInt(query.limit, 50, 1, 500),
+    offset: clampInt(query.offset, 0, 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+async function handleListExtractions(req, res) {
+  if (!extractionStore.enabled) return storeDisabled(res);
+
+  const status = req.query.status ? String(req.query.status) : undefined;
+  if (status && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status غير صالح. المتاح: ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  try {
+    return res.status(200).json(await extractionStore.list({ ...parseListQuery(req.query), status }));
+  } catch (error) {
+    console.error('[ERROR] list extractions:', error.message);
+    return res.status(500).json({ error: 'تعذر قراءة الاستخراجات.' });
+  }
+}
 
-    return res.status(details.status || 500).json({
-      error: 'حدث خطأ أثناء معالجة الملف.',
-      providerError: details.message,
-      available_providers: details?.metadata?.available_providers || undefined,
-      requested_providers: details?.metadata?.requested_providers || undefined,
-      details: process.env.NODE_ENV === 'development' ? details.raw : undefined
+// قائمة المراجعة: اللي لسه ما اتعملهاش approve (pending + corrected)، الأقدم الأول
+async function handleListPendingReview(req, res) {
+  if (!extractionStore.enabled) return storeDisabled(res);
+
+  try {
+    return res
+      .status(200)
+      .json(await extractionStore.list({ ...parseListQuery(req.query), status: ['pending', 'corrected'] }));
+  } catch (error) {
+    console.error('[ERROR] list pending review:', error.message);
+    return res.status(500).json({ error: 'تعذر قراءة قائمة المراجعة.' });
+  }
+}
+
+async function handleGetExtraction(req, res) {
+  if (!extractionStore.enabled) return storeDisabled(res);
+
+  const record = await extractionStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'الاستخراج غير موجود.' });
+  }
+  return res.status(200).json(record);
+}
+
+function createReviewHandler({ approve }) {
+  return async function handleReview(req, res) {
+    if (!extractionStore.enabled) return storeDisabled(res);
+
+    try {
+      const record = await extractionStore.get(req.params.id);
+      if (!record) {
+        return res.status(404).json({ error: 'الاستخراج غير موجود.' });
+      }
+      if (record.status === 'approved') {
+        return res.status(409).json({ error: 'الاستخراج ده اتعمله approve بالفعل.' });
+      }
+
+      const corrections = req.body?.corrections || {};
+      if (typeof corrections !== 'object' || Array.isArray(corrections)) {
+        return res.status(400).json({ error: 'corrections لازم يكون object: { field: value }.' });
+      }
+
+      // الحقول لازم تكون من الـ schema بتاع النوع ده
+      const schema = schemaRegistry.get(record.type);
+      const unknown = schema ? Object.keys(corrections).filter((field) => !schema.keys.includes(field)) : [];
+      if (unknown.length) {
+        return res.status(400).json({ error: `حقول غير معروفة للنوع ${record.type}: ${unknown.join(', ')}` });
+      }
+
+      const reviewer = req.body?.reviewer || req.get('x-reviewer') || null;
+      const { diffs, status } = await extractionStore.review(record.id, { corrections, reviewer, approve });
+
+      console.log(`[INFO] review ${record.id}: ${status}, ${diffs.length} corrections`);
+
+      const updated = await extractionStore.get(record.id);
+      return res.status(200).json({ id: record.id, status, diffs, finalValues: updated.finalValues });
+    } catch (error) {
+      console.error('[ERROR] review:', error.message);
+      return res.status(500).json({ error: 'تعذر حفظ المراجعة.' });
+    }
+  };
+}
+
+// دقة كل حقل على العناصر الـ approved: 1 - (عدد مرات تصحيحه / عدد العناصر)
+async function handleFieldAccuracy(req, res) {
+  if (!extractionStore.enabled) return storeDisabled(res);
+
+  try {
+    const type = req.query.type || undefined;
+    const { approved, corrected } = await extractionStore.fieldAccuracy({
+      type,
+      model: req.query.model || undefined,
+      since: req.query.since || undefined
     });
+
+    const schema = type ? schemaRegistry.get(type) : null;
+    const fieldNames = [...new Set([...(schema ? schema.keys : []), ...Object.keys(corrected)])];
+
+    const fields = {};
+    for (const field of fieldNames) {
+      const n = corrected[field] || 0;
+      fields[field] = {
+        corrected: n,
+        accuracy: approved ? Math.round(((approved - n) / approved) * 1000) / 1000 : null
+      };
+    }
+
+    return res.status(200).json({ type: type || null, model: req.query.model || null, approved, fields });
+  } catch (error) {
+    console.error('[ERROR] field accuracy:', error.message);
+    return res.status(500).json({ error: 'تعذر حساب الدقة.' });
   }
 }
 
-function parseOptionalInt(value) {
-  if (value === undefined || value === null || value === '') return null;
-  const n = Number.parseInt(String(value), 10);
-  return Number.isFinite(n) ? n : null;
+const handleSubmitCorrections = createReviewHandler({ approve: false });
+const handleApproveExtraction = createReviewHandler({ approve: true });
+
+app.get('/api/extractions', requireAdmin, handleListExtractions);
+app.get('/extractions', requireAdmin, handleListExtractions);
+app.get('/api/extractions/:id', requireAdmin, handleGetExtraction);
+app.get('/extractions/:id', requireAdmin, handleGetExtraction);
+app.get('/api/review/pending', requireAdmin, handleListPendingReview);
+app.get('/review/pending', requireAdmin, handleListPendingReview);
+app.get('/api/review/accuracy', requireAdmin, handleFieldAccuracy);
+app.get('/review/accuracy', requireAdmin, handleFieldAccuracy);
+app.post('/api/review/:id/corrections', requireAdmin, handleSubmitCorrections);
+app.post('/review/:id/corrections', requireAdmin, handleSubmitCorrections);
+app.post('/api/review/:id/approve', requireAdmin, handleApproveExtraction);
+app.post('/review/:id/approve', requireAdmin, handleApproveExtraction);
+
+/* =========================
+   Few-shot examples (admin)
+========================= */
+function examplesDisabled(res) {
+  return res.status(404).json({ error: 'أمثلة الـ few-shot غير مفعلة (FEW_SHOT_ENABLED).' });
+}
+
+// output لازم يكون object بمفاتيح من الـ schema، والـ input نص (بيتقص لـ FEW_SHOT_MAX_INPUT_CHARS)
+function validateExampleInput(schema, { input, output }) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return 'input لازم يكون نص المستند (أو جزء منه).';
+  }
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return 'output لازم يكون object: { field: value }.';
+  }
+  const unknown = Object.keys(output).filter((field) => !schema.keys.includes(field));
+  if (unknown.length) {
+    return `حقول غير معروفة للنوع ${schema.type}: ${unknown.join(', ')}`;
+  }
+  return null;
 }
 
-async function handleTicketsExtraction(req, res) {
+async function handleListExamples(req, res) {
+  if (!exampleStore.enabled) return examplesDisabled(res);
+
+  const type = req.query.type ? schemaRegistry.get(req.query.type)?.type || req.query.type : undefined;
+  const examples = await exampleStore.list({ type, officeName: req.query.officeName || undefined });
+  return res.status(200).json({ maxPerPrompt: FEW_SHOT_MAX_EXAMPLES, examples });
+}
+
+async function handleCreateExample(req, res) {
+  if (!exampleStore.enabled) return examplesDisabled(res);
+
+  if (!req.body?.type) {
+    return res.status(400).json({ error: 'الرجاء تحديد type.' });
+  }
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+    const schema = resolveSchema(req.body.type);
+    const error = validateExampleInput(schema, req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const modelName = normalizeModelName(
-      req.body.model || DEFAULT_VISION_MODEL,
-      DEFAULT_VISION_MODEL
-    );
+    const example = await exampleStore.add({
+      type: schema.type,
+      officeName: req.body.officeName,
+      input: req.body.input.trim().slice(0, FEW_SHOT_MAX_INPUT_CHARS),
+      output: req.body.output,
+      note: req.body.note,
+      createdBy: req.body.createdBy || req.get('x-reviewer')
+    });
+
+    console.log(`[INFO] few-shot example ${example.id} added: ${example.type} (${example.officeName || 'all offices'})`);
+    return res.status(201).json(example);
+  } catch (error) {
+    const details = extractProviderError(error);
+    return res.status(details.status || 500).json({ error: details.message });
+  }
+}
 
-    const order_id = parseOptionalInt(req.body.order_id);
-    const ticketFile =
-      req.body.ticketFile != null && String(req.body.ticketFile).trim() !== ''
-        ? String(req.body.ticketFile).trim()
-        : null;
+// مثال من استخراج اتراجع: الـ output = finalValues، والـ input لازم يتبعت (النص المصدر مش متخزن)
+async function handleCreateExampleFromExtraction(req, res) {
+  if (!exampleStore.enabled) return examplesDisabled(res);
+  if (!extractionStore.enabled) return storeDisabled(res);
 
-    console.log(
-      `[INFO] tickets_details: ${req.file.originalname}, ${(req.file.size / 1024 / 1024).toFixed(2)} MB`
-    );
+  const record = await extractionStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'الاستخراج غير موجود.' });
+  }
+  if (record.status !== 'approved') {
+    return res.status(409).json({ error: 'لازم الاستخراج يتعمله approve الأول.' });
+  }
 
-    const prompt = buildTicketDocumentPrompt();
-    const base64Data = req.file.buffer.toString('base64');
-    let data;
+  const schema = schemaRegistry.get(record.type);
+  if (!schema) {
+    return res.status(404).json({ error: `نوع المستند غير مسجل: ${record.type}` });
+  }
 
-    if (req.file.mimetype === 'application/pdf') {
-      const pdfDataUrl = `data:application/pdf;base64,${base64Data}`;
-      const plugins = [
-        {
-          id: 'file-parser',
-          pdf: {
-            engine: PDF_ENGINE
-          }
-        }
-      ];
+  const output = record.finalValues || record.values;
+  const error = validateExampleInput(schema, { input: req.body?.input, output });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-      try {
-        data = await callOpenRouterForPdf({
-          primaryModel: modelName,
-          prompt,
-          filename: req.file.originalname || 'ticket.pdf',
-          pdfDataUrl,
-          plugins,
-          temperature: 0,
-          max_tokens: 1500
-        });
-      } catch (pdfUploadError) {
-        const details = extractOpenRouterError(pdfUploadError);
-        const message = String(details.message || '').toLowerCase();
-        const canFallbackToText =
-          message.includes('file data is missing') ||
-          message.includes('failed to parse');
-
-        if (!canFallbackToText) {
-          throw pdfUploadError;
-        }
+  const example = await exampleStore.add({
+    type: schema.type,
+    officeName: req.body.officeName !== undefined ? req.body.officeName : output.officeName,
+    input: req.body.input.trim().slice(0, FEW_SHOT_MAX_INPUT_CHARS),
+    output,
+    note: req.body.note,
+    sourceExtractionId: record.id,
+    createdBy: req.body.createdBy || req.get('x-reviewer') || record.reviewedBy
+  });
 
-        console.warn('[WARN] PDF ticket: fallback to text extraction');
+  console.log(`[INFO] few-shot example ${example.id} added from extraction ${record.id}`);
+  return res.status(201).json(example);
+}
 
-        const extractedText = await extractPdfTextForFallback(req.file.buffer);
-        if (!extractedText) {
-          throw new Error('تعذر استخراج نص من ملف PDF.');
-        }
+async function handleUpdateExample(req, res) {
+  if (!exampleStore.enabled) return examplesDisabled(res);
 
-        data = await callOpenRouter({
-          model: normalizeModelName(DEFAULT_TEXT_MODEL, DEFAULT_TEXT_MODEL),
-          messages: [
-            {
-              role: 'user',
-              content: buildTicketTextPrompt(extractedText)
-            }
-          ],
-          useFallbackModels: true,
-          temperature: 0,
-          max_tokens: 1500
-        });
-      }
-    } else {
-      const imageDataUrl = `data:${req.file.mimetype};base64,${base64Data}`;
+  if (typeof req.body?.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled لازم يكون true أو false.' });
+  }
+  if (!(await exampleStore.setEnabled(req.params.id, req.body.enabled))) {
+    return res.status(404).json({ error: 'المثال غير موجود.' });
+  }
+  return res.status(200).json(await exampleStore.get(req.params.id));
+}
 
-      data = await callOpenRouter({
-        model: modelName,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageDataUrl
-                }
-              }
-            ]
-          }
-        ],
-        plugins: undefined,
-        useFallbackModels: true,
-        temperature: 0,
-        max_tokens: 1500
-      });
-    }
+async function handleDeleteExample(req, res) {
+  if (!exampleStore.enabled) return examplesDisabled(res);
 
-    const rawText = extractAssistantText(data);
-    console.log('[DEBUG] Raw ticket model response:', rawText);
+  if (!(await exampleStore.remove(req.params.id))) {
+    return res.status(404).json({ error: 'المثال غير موجود.' });
+  }
+  return res.status(200).json({ deleted: req.params.id });
+}
 
-    const { tickets_details } = normalizeTicketsDetailsJson(rawText);
+app.get('/api/admin/examples', requireAdmin, handleListExamples);
+app.get('/admin/examples', requireAdmin, handleListExamples);
+app.post('/api/admin/examples', requireAdmin, handleCreateExample);
+app.post('/admin/examples', requireAdmin, handleCreateExample);
+app.post('/api/admin/examples/from-extraction/:id', requireAdmin, handleCreateExampleFromExtraction);
+app.post('/admin/examples/from-extraction/:id', requireAdmin, handleCreateExampleFromExtraction);
+app.patch('/api/admin/examples/:id', requireAdmin, handleUpdateExample);
+app.patch('/admin/examples/:id', requireAdmin, handleUpdateExample);
+app.delete('/api/admin/examples/:id', requireAdmin, handleDeleteExample);
+app.delete('/admin/examples/:id', requireAdmin, handleDeleteExample);
 
-    if (order_id !== null) {
-      tickets_details.order_id = order_id;
+/* =========================
+   Offline evaluation
+========================= */
+// كل نسخة prompt = فولدر schemas جوه EVAL_PROMPTS_DIR (بيكفي فيه الأنواع اللي اتغيرت)، و "current" = SCHEMAS_DIR
+function loadPromptVariants(names) {
+  return names.map((name) => {
+    let registry = schemaRegistry;
+    if (name !== 'current') {
+      const dir = path.join(EVAL_PROMPTS_DIR, name);
+      if (!/^[\w-]+$/.test(name) || !fs.existsSync(dir)) {
+        throw createProviderError(`نسخة الـ prompt غير موجودة: ${name}`, 404);
+      }
+      registry = createSchemaRegistry({ dir });
     }
-    if (ticketFile !== null) {
-      tickets_details.ticketFile = ticketFile;
+
+    const schemaFor = (type) => registry.get(type) || resolveSchema(type);
+    return {
+      name,
+      schemaFor,
+      promptVersion: (type) => promptVersion(schemaFor(type).buildDocumentPrompt())
+    };
+  });
+}
+
+// بتستخدمها POST /api/admin/eval و eval/run.js. من غير cache ومن غير extraction store
+async function runEvaluationSuite({ models = [], prompts = [], types, provider: providerName, save = true } = {}) {
+  const provider = providers.getProvider(providerName || EXTRACTION_PROVIDER);
+  const { fixtures, skipped } = loadFixtures(EVAL_FIXTURES_DIR, { types });
+  if (!fixtures.length) {
+    throw createProviderError(`مفيش fixtures في ${EVAL_FIXTURES_DIR}`, 400);
+  }
+  for (const type of new Set(fixtures.map((fixture) => fixture.type))) {
+    resolveSchema(type);
+  }
+
+  const variants = loadPromptVariants(prompts.length ? prompts : ['current']);
+  const modelNames = (models.length ? models : [provider.defaultVisionModel]).map((model) =>
+    normalizeModelName(model, provider.defaultVisionModel)
+  );
+
+  console.log(
+    `[INFO] eval: ${fixtures.length} fixtures, prompts: ${variants.map((v) => v.name).join(', ')}, models: ${modelNames.join(', ')}`
+  );
+
+  const report = await runEvaluation({
+    fixtures,
+    models: modelNames,
+    variants,
+    concurrency: EVAL_CONCURRENCY,
+    extract: async ({ fixture, model, variant }) => {
+      const schema = variant.schemaFor(fixture.type);
+      const req = {
+        file: fixture.file,
+        body: { provider: provider.name, model, officeName: fixture.expected.officeName || undefined },
+        query: { nocache: '1' },
+        usageRoute: 'eval'
+      };
+      const body = await extractDocument(fixture.type, req, { schema, persist: false });
+      return {
+        values: body[schema.wrapper],
+        usage: body.meta.usage,
+        model: body.meta.model,
+        extractionPath: body.meta.extractionPath
+      };
     }
+  });
 
-    return res.status(200).json({ tickets_details });
-  } catch (error) {
-    const details = extractOpenRouterError(error);
+  report.provider = provider.name;
+  report.skipped = skipped;
+  if (save) {
+    report.name = saveReport(report, EVAL_REPORTS_DIR);
+    console.log(`[INFO] eval report saved: ${path.join(EVAL_REPORTS_DIR, report.name)}.json`);
+  }
+  return report;
+}
 
-    console.error('[ERROR] extractdatafromtickets:', details.message);
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim()).filter(Boolean);
+}
 
-    return res.status(details.status || 500).json({
-      error: 'حدث خطأ أثناء استخراج بيانات التذكرة.',
-      providerError: details.message,
-      available_providers: details?.metadata?.available_providers || undefined,
-      requested_providers: details?.metadata?.requested_providers || undefined,
-      details: process.env.NODE_ENV === 'development' ? details.raw : undefined
+async function handleRunEvaluation(req, res) {
+  try {
+    const report = await runEvaluationSuite({
+      models: toList(req.body?.models),
+      prompts: toList(req.body?.prompts),
+      types: toList(req.body?.types).length ? toList(req.body.types) : undefined,
+      provider: req.body?.provider
     });
+    return res.status(200).json(report);
+  } catch (error) {
+    const details = extractProviderError(error);
+    console.error('[ERROR] eval:', details.message);
+    return res.status(details.status || 500).json(buildErrorBody('فشل تشغيل التقييم.', details));
   }
 }
 
-app.post('/api/gemini', upload.single('image'), handleGeminiExtraction);
-app.post('/gemini', upload.single('image'), handleGeminiExtraction);
+function handleListEvalReports(req, res) {
+  return res.status(200).json({ reports: listReports(EVAL_REPORTS_DIR) });
+}
 
-app.post(
-  '/extractdatafromtickets',
-  upload.single('image'),
-  handleTicketsExtraction
-);
-app.post(
-  '/api/extractdatafromtickets',
-  upload.single('image'),
-  handleTicketsExtraction
-);
+function handleGetEvalReport(req, res) {
+  const report = readReport(EVAL_REPORTS_DIR, req.params.name);
+  if (!report) {
+    return res.status(404).json({ error: 'التقرير غير موجود.' });
+  }
+  return res.status(200).json(report);
+}
 
-app.post('/prompt', async (req, res) => {
-  try {
-    const { text, model } = req.body;
+app.post('/api/admin/eval', requireAdmin, handleRunEvaluation);
+app.post('/admin/eval', requireAdmin, handleRunEvaluation);
+app.get('/api/admin/eval/reports', requireAdmin, handleListEvalReports);
+app.get('/admin/eval/reports', requireAdmin, handleListEvalReports);
+app.get('/api/admin/eval/reports/:name', requireAdmin, handleGetEvalReport);
+app.get('/admin/eval/reports/:name', requireAdmin, handleGetEvalReport);
 
-    if (!text) {
-      return res.status(400).json({ error: 'الرجاء توفير نص للمعالجة.' });
+/* =========================
+   API keys (admin)
+========================= */
+// rpm / monthlyQuota: أرقام >= 0 (0 = من غير حد)، allowedOrigins: ["https://office.example"] أو ["*"]
+function parseKeyLimits(body = {}) {
+  const limits = {};
+
+  for (const field of ['rpm', 'monthlyQuota']) {
+    if (body[field] === undefined) continue;
+    const n = Number(body[field]);
+    if (!Number.isInteger(n) || n < 0) {
+      return { error: `${field} لازم يكون رقم صحيح >= 0.` };
     }
+    limits[field] = n;
+  }
 
-    const selectedModel = normalizeModelName(
-      model || DEFAULT_TEXT_MODEL,
-      DEFAULT_TEXT_MODEL
-    );
+  if (body.allowedOrigins !== undefined) {
+    if (!Array.isArray(body.allowedOrigins) || body.allowedOrigins.some((o) => typeof o !== 'string')) {
+      return { error: 'allowedOrigins لازم يكون array من الـ origins.' };
+    }
+    limits.allowedOrigins = body.allowedOrigins;
+  }
 
-    console.log(`[INFO] استخدام نموذج OpenRouter: ${selectedModel}`);
+  return { limits };
+}
 
-    const prompt = buildTextPrompt(text);
+async function handleListApiKeys(req, res) {
+  return res.status(200).json({ enforced: API_KEYS_ENABLED, keys: await apiKeyStore.list() });
+}
 
-    const data = await callOpenRouter({
-      model: selectedModel,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      useFallbackModels: true
-    });
+async function handleIssueApiKey(req, res) {
+  const officeName = String(req.body?.officeName || '').trim();
+  if (!officeName) {
+    return res.status(400).json({ error: 'الرجاء تحديد officeName للمفتاح.' });
+  }
 
-    const rawText = extractAssistantText(data);
-    console.log('[DEBUG] Raw model response:', rawText);
+  const { limits, error } = parseKeyLimits(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    const normalized = normalizeFlatJson(rawText);
+  const issued = await apiKeyStore.issue({
+    officeName,
+    label: req.body.label,
+    rpm: limits.rpm ?? API_KEY_DEFAULT_RPM,
+    monthlyQuota: limits.monthlyQuota ?? API_KEY_DEFAULT_MONTHLY_QUOTA,
+    allowedOrigins: limits.allowedOrigins || []
+  });
 
-    return res.status(200).json({
-      jsonResponse: normalized.finalResponse
-    });
-  } catch (error) {
-    const details = extractOpenRouterError(error);
+  console.log(`[INFO] api key ${issued.prefix}… issued for ${officeName}`);
+  // المفتاح نفسه مش هيترجع تاني بعد كده
+  return res.status(201).json(issued);
+}
 
-    console.error('[ERROR] خطأ أثناء معالجة النص:', details.message);
+async function handleUpdateApiKey(req, res) {
+  const { limits, error } = parseKeyLimits(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    return res.status(details.status || 500).json({
-      error: 'حدث خطأ أثناء معالجة النص.',
-      providerError: details.message,
-      available_providers: details?.metadata?.available_providers || undefined,
-      requested_providers: details?.metadata?.requested_providers || undefined,
-      details: process.env.NODE_ENV === 'development' ? details.raw : undefined
+  const updated = await apiKeyStore.update(req.params.id, { ...limits, label: req.body?.label });
+  if (!updated) {
+    return res.status(404).json({ error: 'المفتاح غير موجود.' });
+  }
+  return res.status(200).json(updated);
+}
+
+async function handleRevokeApiKey(req, res) {
+  if (!(await apiKeyStore.revoke(req.params.id))) {
+    return res.status(404).json({ error: 'المفتاح غير موجود أو ملغي بالفعل.' });
+  }
+
+  console.log(`[INFO] api key ${req.params.id} revoked`);
+  return res.status(200).json(await apiKeyStore.get(req.params.id));
+}
+
+app.get('/api/admin/keys', requireAdmin, handleListApiKeys);
+app.get('/admin/keys', requireAdmin, handleListApiKeys);
+app.post('/api/admin/keys', requireAdmin, handleIssueApiKey);
+app.post('/admin/keys', requireAdmin, handleIssueApiKey);
+app.patch('/api/admin/keys/:id', requireAdmin, handleUpdateApiKey);
+app.patch('/admin/keys/:id', requireAdmin, handleUpdateApiKey);
+app.delete('/api/admin/keys/:id', requireAdmin, handleRevokeApiKey);
+app.delete('/admin/keys/:id', requireAdmin, handleRevokeApiKey);
+
+/* =========================
+   Usage report (finance)
+========================= */
+// GET /api/usage?from=2025-01-01&to=2025-01-31&groupBy=day,route,model,office&officeName=&apiKey=&format=csv
+const USAGE_DEFAULT_GROUPS = ['day', 'route', 'model', 'office'];
+
+async function handleUsageReport(req, res) {
+  if (!usageStore.enabled) {
+    return res.status(404).json({ error: 'حساب الاستهلاك غير مفعل (USAGE_TRACKING_ENABLED).' });
+  }
+
+  const groupBy = toList(req.query.groupBy).length ? toList(req.query.groupBy) : USAGE_DEFAULT_GROUPS;
+  const unknown = groupBy.filter((group) => !USAGE_GROUPS[group]);
+  if (unknown.length) {
+    return res.status(400).json({
+      error: `groupBy غير صالح: ${unknown.join(', ')}. المتاح: ${Object.keys(USAGE_GROUPS).join(', ')}`
     });
   }
-});
 
-app.post('/process-document', upload.single('document'), async (req, res) => {
+  for (const bound of ['from', 'to']) {
+    if (req.query[bound] && !/^\d{4}-\d{2}-\d{2}$/.test(String(req.query[bound]))) {
+      return res.status(400).json({ error: `${bound} لازم يكون بالشكل YYYY-MM-DD.` });
+    }
+  }
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'لم يتم تحميل أي ملف.' });
+    const rows = await usageStore.report({
+      groupBy,
+      from: req.query.from,
+      to: req.query.to,
+      officeName: req.query.officeName,
+      apiKeyId: req.query.apiKey
+    });
+
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const columns = [
+        ...groupBy,
+        'requests',
+        'calls',
+        'fallbacks',
+        'prompt_tokens',
+        'completion_tokens',
+        'total_tokens',
+        'cost'
+      ];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="usage.csv"');
+      return res.status(200).send(buildCsv(rows, columns));
     }
 
+    const totals = rows.reduce(
+      (sum, row) => ({
+        requests: sum.requests + row.requests,
+        prompt_tokens: sum.prompt_tokens + row.prompt_tokens,
+        completion_tokens: sum.completion_tokens + row.completion_tokens,
+        total_tokens: sum.total_tokens + row.total_tokens,
+        cost: Math.round((sum.cost + row.cost) * 1e6) / 1e6
+      }),
+      { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 }
+    );
+
     return res.status(200).json({
-      message: 'استخدم /api/gemini لمعالجة الصور وPDF عبر OpenRouter.'
+      from: req.query.from || null,
+      to: req.query.to || null,
+      groupBy,
+      currency: modelPrices.currency,
+      totals,
+      rows
     });
   } catch (error) {
-    return res.status(500).json({
-      error: 'حدث خطأ داخلي أثناء معالجة الملف.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    console.error('[ERROR] usage report:', error.message);
+    return res.status(500).json({ error: 'تعذر تجهيز تقرير الاستهلاك.' });
+  }
+}
+
+app.get('/api/usage', requireAdmin, handleUsageReport);
+app.get('/usage', requireAdmin, handleUsageReport);
+
+/* =========================
+   Debug logging (admin)
+========================= */
+// POST /api/admin/debug { enabled, minutes }: بيفتح الـ [DEBUG] logs (ردود الموديل الخام بعد إخفاء الـ PII)
+// لفترة محدودة وبيقفل لوحده
+const DEBUG_DEFAULT_MINUTES = 15;
+const DEBUG_MAX_MINUTES = 120;
+
+function handleGetDebug(req, res) {
+  return res.status(200).json(logger.debugState());
+}
+
+function handleSetDebug(req, res) {
+  if (req.body?.enabled === undefined) {
+    return res.status(400).json({ error: 'enabled مطلوب (true / false).' });
+  }
+
+  if (!isTruthyFlag(req.body.enabled)) {
+    logger.setDebugUntil(0);
+    console.warn('[WARN] debug logging disabled by admin');
+    return res.status(200).json(logger.debugState());
+  }
+
+  const minutes = clampInt(req.body.minutes, DEBUG_DEFAULT_MINUTES, 1, DEBUG_MAX_MINUTES);
+  logger.setDebugUntil(Date.now() + minutes * 60 * 1000);
+  console.warn(`[WARN] debug logging enabled by admin for ${minutes} minutes`);
+  return res.status(200).json(logger.debugState());
+}
+
+app.get('/api/admin/debug', requireAdmin, handleGetDebug);
+app.get('/admin/debug', requireAdmin, handleGetDebug);
+app.post('/api/admin/debug', requireAdmin, handleSetDebug);
+app.post('/admin/debug', requireAdmin, handleSetDebug);
+
+/* =========================
+   Metrics + readiness
+========================= */
+const requireMetricsToken = METRICS_TOKEN ? createAdminAuth({ token: METRICS_TOKEN }) : (req, res, next) => next();
+
+function handleMetrics(req, res) {
+  if (!METRICS_ENABLED) {
+    return res.status(404).json({ error: 'الـ metrics غير مفعلة (METRICS_ENABLED).' });
+  }
+
+  res.set('Content-Type', metrics.contentType);
+  return res.status(200).send(metrics.render());
+}
+
+app.get('/metrics', requireMetricsToken, handleMetrics);
+app.get('/api/metrics', requireMetricsToken, handleMetrics);
+
+// الفشل المتتالي بيتحسب بس لو آخر فشل قريب: الـ instance اللي اتشال من الـ traffic مش هيعمل calls تصلّح العداد
+const READY_FAILURE_WINDOW_MS = 5 * 60 * 1000;
+const readyCache = new Map();
+
+async function checkProviderReady(name) {
+  const cached = readyCache.get(name);
+  if (cached && Date.now() - cached.checkedAt < READY_CACHE_SECONDS * 1000) {
+    return { ...cached.result, cached: true };
+  }
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    const detail = await providers.getProvider(name).checkReady({ timeoutMs: READY_CHECK_TIMEOUT_MS });
+    result = { ok: true, latencyMs: Date.now() - startedAt, ...detail };
+  } catch (error) {
+    const details = extractProviderError(error);
+    console.warn(`[WARN] readiness: provider ${name} not reachable: ${details.message}`);
+    result = { ok: false, latencyMs: Date.now() - startedAt, status: details.status || null, error: details.message };
+  }
+
+  readyCache.set(name, { checkedAt: Date.now(), result });
+  return result;
+}
+
+function checkRecentModelCalls(name) {
+  const health = providerHealth.get(name) || { consecutiveFailures: 0 };
+  const recent = health.lastFailureAt && Date.now() - Date.parse(health.lastFailureAt) < READY_FAILURE_WINDOW_MS;
+  const failing =
+    READY_MAX_CONSECUTIVE_FAILURES > 0 && recent && health.consecutiveFailures >= READY_MAX_CONSECUTIVE_FAILURES;
+
+  const circuits = providers.getProvider(name).circuits?.();
+  return {
+    ok: !failing,
+    maxConsecutiveFailures: READY_MAX_CONSECUTIVE_FAILURES,
+    ...health,
+    ...(circuits?.length && { circuits })
+  };
+}
+
+// 200 = ready، 503 = الـ orchestrator يوقف يبعت traffic للـ instance دي
+async function handleReady(req, res) {
+  const name = String(req.query.provider || EXTRACTION_PROVIDER).trim().toLowerCase();
+  if (!providers.providerNames.includes(name)) {
+    return res.status(400).json({
+      error: `Provider غير معروف: ${name}. المتاح: ${providers.providerNames.join(', ')}`
     });
   }
-});
+
+  const schemas = schemaRegistry.list().map((schema) => schema.type);
+  const checks = {
+    config: { ok: schemas.length > 0, schemas },
+    provider: { name, ...(await checkProviderReady(name)) },
+    models: checkRecentModelCalls(name)
+  };
+  const ready = Object.values(checks).every((check) => check.ok);
+
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.get('/ready', handleReady);
+app.get('/api/ready', handleReady);
 
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
-    message: 'OpenRouter API يعمل',
+    message: 'Extraction API يعمل',
+    provider: EXTRACTION_PROVIDER,
     timestamp: new Date().toISOString()
   });
 });
 
-app.listen(port, () => {
-  console.log(`✅ Server running on http://localhost:${port}`);
-  console.log(`📋 Health check: http://localhost:${port}/health`);
-});
+// eval/run.js بيعمل require للملف ده عشان يستخدم نفس الـ pipeline من غير ما يفتح port
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`✅ Server running on http://localhost:${port}`);
+    console.log(`📋 Health check: http://localhost:${port}/health`);
+  });
+}
+
+module.exports = {
+  app,
+  runEvaluationSuite
+};